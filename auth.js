@@ -0,0 +1,52 @@
+// Passwords and sign-in tokens. Passwords are stored as salted scrypt hashes
+// ("scrypt$salt$hash", hex); sign-in tokens live only in the browser's cookie
+// and the database keeps their SHA-256, so a copy of the database can't be
+// used to sign in.
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Spent on unknown usernames so a failed sign-in takes as long either way
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Compares secrets of any length without leaking where they differ
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashToken(a), 'hex'), Buffer.from(hashToken(b), 'hex'));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const i = pair.indexOf('=');
+    if (i < 0) return;
+    const name = pair.slice(0, i).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(i + 1).trim());
+    } catch (e) { /* malformed value: ignore the cookie */ }
+  });
+  return cookies;
+}
+
+module.exports = { DUMMY_HASH, hashPassword, verifyPassword, newToken, hashToken, safeEqual, parseCookies };
@@ -0,0 +1,53 @@
+// Scheduled snapshots of the whole database. better-sqlite3's backup() drives
+// SQLite's online backup API, so a snapshot is consistent even while requests
+// keep writing. Each one is written under a temporary name and renamed once
+// complete, so the directory never holds a half-written copy; only the newest
+// `keep` are kept.
+const fs = require('fs');
+const path = require('path');
+
+const PREFIX = 'remoteworkpal-';
+const SUFFIX = '.db';
+
+// remoteworkpal-2026-03-08T14-05-00Z.db: sorts by name in time order
+function snapshotName(date) {
+  return `${PREFIX}${date.toISOString().slice(0, 19).replace(/:/g, '-')}Z${SUFFIX}`;
+}
+
+function listSnapshots(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.startsWith(PREFIX) && f.endsWith(SUFFIX)).sort();
+}
+
+async function backupNow(db, dir, keep) {
+  fs.mkdirSync(dir, { recursive: true });
+  const name = snapshotName(new Date());
+  const partial = path.join(dir, `${name}.partial`);
+  try {
+    await db.backup(partial);
+    fs.renameSync(partial, path.join(dir, name));
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw err;
+  }
+  listSnapshots(dir).slice(0, -keep).forEach(f => fs.unlinkSync(path.join(dir, f)));
+  return path.join(dir, name);
+}
+
+// The first snapshot is due one interval after the newest one already in `dir`,
+// so frequent restarts don't churn through the rotation.
+function scheduleBackups(db, { dir, intervalHours, keep }) {
+  const intervalMs = intervalHours * 3600 * 1000;
+  const latest = listSnapshots(dir).pop();
+  const age = latest ? Date.now() - fs.statSync(path.join(dir, latest)).mtimeMs : Infinity;
+
+  const run = () => {
+    backupNow(db, dir, keep)
+      .then(file => console.log(`Backup written to ${file}`))
+      .catch(err => console.error(`Backup failed: ${err.message}`))
+      .finally(() => setTimeout(run, intervalMs).unref());
+  };
+  setTimeout(run, Math.max(0, intervalMs - age)).unref();
+}
+
+module.exports = { backupNow, listSnapshots, scheduleBackups };
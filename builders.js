@@ -0,0 +1,459 @@
+// Template builders are data, not code: chip groups the user picks from and a
+// text pattern that turns the picks into a rationale. The page renders them
+// (public/app.js); this module defines the format and checks definitions
+// before they are stored.
+//
+// {
+//   pattern: "Verdict: {verdict}\n\n{observations|sentences}[\n\n{notes}]",
+//   requires: ["observations"],          // at least one of these groups picked
+//   placeholder: "Select observations…", // shown until `requires` is met
+//   groups: [{
+//     id: "verdict", label: "Verdict", select: "single" | "multi",
+//     required: true,                     // single only: starts unpicked, must be picked
+//     options: [{ label: "Pass", value: "pass", text: "PASS",
+//                 pattern?, requires? }]  // single-select options may swap the pattern
+//   }],
+//   conflicts: [["verdict:pass", "observations:Legend text remains"]], // picks that contradict
+//   locale: "en",                         // language the definition itself is written in
+//   tones: { concise: WORDING, formal: WORDING, detailed: WORDING },
+//   packs: { es: { ...WORDING, tones: { concise: WORDING } } }
+// }
+//
+// WORDING replaces any of the definition's text for a tone or another language:
+// { pattern, placeholder, patterns: { "winner:b": "…" }, text: { "qualities:more accurate": "…" } }
+// where patterns stand in for single-select option patterns and text for the
+// phrase a chip inserts. Anything a pack leaves out falls back to the pack's
+// standard wording, then to the definition's tone, then to the definition.
+//
+// {group} inserts the picked option's text (value if no text); multi groups are
+// joined as a list ("a, b, and c") or with {group|sentences} as "a. b. c.".
+// {notes} is the free-text box, shown when a pattern uses it. A [bracketed]
+// part is dropped when any placeholder inside it is empty.
+//
+// Before copying, the page also checks the picks (required groups, conflicts,
+// picks the chosen pattern leaves out) and the text (project minimum length,
+// banned phrases from settings).
+
+const TASK_TYPE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const GROUP_ID = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+const PLACEHOLDER = /\{(\w+)(?:\|(\w+))?\}/g;
+const FILTERS = ['list', 'sentences'];
+const LOCALE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const TONES = ['concise', 'formal', 'detailed'];
+const RESERVED_IDS = ['notes', 'locale', 'tone'];
+
+const H2H_TONES = {
+  concise: {
+    pattern: 'A is better[: {qualities}].[ B {issues}.][ {notes}]',
+    patterns: {
+      'winner:b': 'B is better[: {qualities}].[ A {issues}.][ {notes}]',
+      'winner:tie': 'Tie[; both {qualities}].[ {notes}]',
+    },
+  },
+  formal: {
+    pattern: 'Having compared both responses, Response A is preferred.[ It is {qualities}.][ By contrast, Response B {issues}.][ {notes}]',
+    patterns: {
+      'winner:b': 'Having compared both responses, Response B is preferred.[ It is {qualities}.][ By contrast, Response A {issues}.][ {notes}]',
+      'winner:tie': 'Having compared both responses, neither is clearly preferable; they are of comparable quality.[ Both are {qualities}.][ {notes}]',
+    },
+  },
+  detailed: {
+    pattern: 'After reviewing both responses against the prompt, Response A is the better response overall.'
+      + '[ In particular, Response A is {qualities}, which makes it more useful to the user.]'
+      + '[ Response B, on the other hand, {issues}, which weakens its answer.][ Additional notes: {notes}]',
+    patterns: {
+      'winner:b': 'After reviewing both responses against the prompt, Response B is the better response overall.'
+        + '[ In particular, Response B is {qualities}, which makes it more useful to the user.]'
+        + '[ Response A, on the other hand, {issues}, which weakens its answer.][ Additional notes: {notes}]',
+      'winner:tie': 'After reviewing both responses against the prompt, they are roughly equal in quality and neither is clearly better.'
+        + '[ Both responses are {qualities}.][ Additional notes: {notes}]',
+    },
+  },
+};
+
+const H2H_PACKS = {
+  es: {
+    pattern: 'La respuesta A es la mejor.[ La respuesta A es {qualities}.][ La respuesta B {issues}.][ {notes}]',
+    placeholder: 'Selecciona cualidades y/o problemas para generar el texto...',
+    patterns: {
+      'winner:b': 'La respuesta B es la mejor.[ La respuesta B es {qualities}.][ La respuesta A {issues}.][ {notes}]',
+      'winner:tie': 'Ambas respuestas tienen una calidad similar.[ En ambos casos, la respuesta es {qualities}.][ {notes}]',
+    },
+    text: {
+      'qualities:more accurate': 'más precisa',
+      'qualities:more complete': 'más completa',
+      'qualities:clearer and better structured': 'más clara y mejor estructurada',
+      'qualities:more concise': 'más concisa',
+      'qualities:more relevant to the prompt': 'más pertinente para la instrucción',
+      'qualities:more helpful': 'más útil',
+      'qualities:better formatted': 'más legible en su formato',
+      'qualities:more detailed': 'más detallada',
+      'issues:contains inaccuracies': 'contiene imprecisiones',
+      'issues:is incomplete': 'está incompleta',
+      'issues:is verbose and unfocused': 'es extensa y poco enfocada',
+      'issues:misses key points': 'omite puntos clave',
+      'issues:has formatting issues': 'tiene problemas de formato',
+      'issues:is off-topic': 'se desvía del tema',
+      'issues:lacks detail': 'carece de detalle',
+    },
+  },
+  pt: {
+    pattern: 'A resposta A é a melhor.[ A resposta A é {qualities}.][ A resposta B {issues}.][ {notes}]',
+    placeholder: 'Selecione qualidades e/ou problemas para gerar o texto...',
+    patterns: {
+      'winner:b': 'A resposta B é a melhor.[ A resposta B é {qualities}.][ A resposta A {issues}.][ {notes}]',
+      'winner:tie': 'As duas respostas têm qualidade semelhante.[ Em ambos os casos, a resposta é {qualities}.][ {notes}]',
+    },
+    text: {
+      'qualities:more accurate': 'mais precisa',
+      'qualities:more complete': 'mais completa',
+      'qualities:clearer and better structured': 'mais clara e mais bem estruturada',
+      'qualities:more concise': 'mais concisa',
+      'qualities:more relevant to the prompt': 'mais relevante para a instrução',
+      'qualities:more helpful': 'mais útil',
+      'qualities:better formatted': 'mais legível na formatação',
+      'qualities:more detailed': 'mais detalhada',
+      'issues:contains inaccuracies': 'contém imprecisões',
+      'issues:is incomplete': 'está incompleta',
+      'issues:is verbose and unfocused': 'é prolixa e pouco focada',
+      'issues:misses key points': 'omite pontos importantes',
+      'issues:has formatting issues': 'tem problemas de formatação',
+      'issues:is off-topic': 'foge do tema',
+      'issues:lacks detail': 'carece de detalhes',
+    },
+  },
+};
+
+const GRAPH_TONES = {
+  concise: {
+    pattern: '{verdict}: {observations|sentences}[ {notes}]',
+  },
+  formal: {
+    pattern: 'Verdict: {verdict}\n\nFindings: {observations|sentences}[\n\nComments: {notes}]',
+  },
+  detailed: {
+    pattern: 'Verdict: {verdict}\n\nThe graph was checked for remaining axis labels, legend text, titles and data labels. '
+      + '{observations|sentences}[\n\nAdditional notes: {notes}]',
+  },
+};
+
+const GRAPH_PACKS = {
+  es: {
+    pattern: 'Veredicto: {verdict}\n\n{observations|sentences}[\n\n{notes}]',
+    placeholder: 'Selecciona observaciones para generar el texto...',
+    text: {
+      'verdict:pass': 'APROBADO',
+      'verdict:fail': 'RECHAZADO',
+      'observations:All axis labels have been properly removed': 'Todas las etiquetas de los ejes se han eliminado correctamente',
+      'observations:Legend labels have been properly removed': 'Las etiquetas de la leyenda se han eliminado correctamente',
+      'observations:Title text has been removed': 'Se ha eliminado el texto del título',
+      'observations:Axis labels are still visible': 'Las etiquetas de los ejes siguen visibles',
+      'observations:Legend text remains': 'El texto de la leyenda permanece',
+      'observations:Title text is still present': 'El texto del título sigue presente',
+      'observations:Data labels are still visible on the chart': 'Las etiquetas de datos siguen visibles en el gráfico',
+      'observations:Graph is otherwise clean and readable': 'Por lo demás, el gráfico está limpio y es legible',
+    },
+  },
+  pt: {
+    pattern: 'Veredito: {verdict}\n\n{observations|sentences}[\n\n{notes}]',
+    placeholder: 'Selecione observações para gerar o texto...',
+    text: {
+      'verdict:pass': 'APROVADO',
+      'verdict:fail': 'REPROVADO',
+      'observations:All axis labels have been properly removed': 'Todos os rótulos dos eixos foram removidos corretamente',
+      'observations:Legend labels have been properly removed': 'Os rótulos da legenda foram removidos corretamente',
+      'observations:Title text has been removed': 'O texto do título foi removido',
+      'observations:Axis labels are still visible': 'Os rótulos dos eixos ainda estão visíveis',
+      'observations:Legend text remains': 'O texto da legenda permanece',
+      'observations:Title text is still present': 'O texto do título ainda está presente',
+      'observations:Data labels are still visible on the chart': 'Os rótulos de dados ainda estão visíveis no gráfico',
+      'observations:Graph is otherwise clean and readable': 'Fora isso, o gráfico está limpo e legível',
+    },
+  },
+};
+
+const DEFAULT_BUILDERS = [
+  {
+    task_type: 'h2h',
+    name: 'H2H Compare',
+    definition: {
+      pattern: 'Response A is the better response.[ Response A is {qualities}.][ Response B {issues}.][ {notes}]',
+      requires: ['qualities', 'issues'],
+      placeholder: 'Select qualities and/or issues to generate text...',
+      groups: [
+        {
+          id: 'winner',
+          label: 'Winner',
+          select: 'single',
+          required: true,
+          options: [
+            { label: 'Response A', value: 'a' },
+            {
+              label: 'Response B',
+              value: 'b',
+              pattern: 'Response B is the better response.[ Response B is {qualities}.][ Response A {issues}.][ {notes}]',
+            },
+            {
+              label: 'Tie',
+              value: 'tie',
+              pattern: 'Both responses are roughly equal in quality.[ Both are {qualities}.][ {notes}]',
+              requires: [],
+            },
+          ],
+        },
+        {
+          id: 'qualities',
+          label: 'Winning Qualities',
+          select: 'multi',
+          options: [
+            { label: 'Accurate', value: 'more accurate' },
+            { label: 'Complete', value: 'more complete' },
+            { label: 'Clear', value: 'clearer and better structured' },
+            { label: 'Concise', value: 'more concise' },
+            { label: 'Relevant', value: 'more relevant to the prompt' },
+            { label: 'Helpful', value: 'more helpful' },
+            { label: 'Formatted', value: 'better formatted' },
+            { label: 'Detailed', value: 'more detailed' },
+          ],
+        },
+        {
+          id: 'issues',
+          label: 'Losing Issues',
+          select: 'multi',
+          options: [
+            { label: 'Inaccurate', value: 'contains inaccuracies' },
+            { label: 'Incomplete', value: 'is incomplete' },
+            { label: 'Verbose', value: 'is verbose and unfocused' },
+            { label: 'Misses Points', value: 'misses key points' },
+            { label: 'Bad Format', value: 'has formatting issues' },
+            { label: 'Off-topic', value: 'is off-topic' },
+            { label: 'Lacks Detail', value: 'lacks detail' },
+          ],
+        },
+      ],
+      conflicts: [
+        ['qualities:more concise', 'qualities:more detailed'],
+        ['qualities:more concise', 'issues:lacks detail'],
+        ['qualities:more detailed', 'issues:is verbose and unfocused'],
+      ],
+      locale: 'en',
+      tones: H2H_TONES,
+      packs: H2H_PACKS,
+    },
+  },
+  {
+    task_type: 'graph',
+    name: 'Graph Review',
+    definition: {
+      pattern: 'Verdict: {verdict}\n\n{observations|sentences}[\n\n{notes}]',
+      requires: ['observations'],
+      placeholder: 'Select observations to generate text...',
+      groups: [
+        {
+          id: 'verdict',
+          label: 'Verdict',
+          select: 'single',
+          required: true,
+          options: [
+            { label: 'Pass', value: 'pass', text: 'PASS' },
+            { label: 'Fail', value: 'fail', text: 'FAIL' },
+          ],
+        },
+        {
+          id: 'observations',
+          label: 'Observations',
+          select: 'multi',
+          options: [
+            { label: 'Labels removed', value: 'All axis labels have been properly removed' },
+            { label: 'Legend cleared', value: 'Legend labels have been properly removed' },
+            { label: 'Title removed', value: 'Title text has been removed' },
+            { label: 'Labels visible', value: 'Axis labels are still visible' },
+            { label: 'Legend remains', value: 'Legend text remains' },
+            { label: 'Title present', value: 'Title text is still present' },
+            { label: 'Data labels visible', value: 'Data labels are still visible on the chart' },
+            { label: 'Clean graph', value: 'Graph is otherwise clean and readable' },
+          ],
+        },
+      ],
+      conflicts: [
+        ['observations:All axis labels have been properly removed', 'observations:Axis labels are still visible'],
+        ['observations:Legend labels have been properly removed', 'observations:Legend text remains'],
+        ['observations:Title text has been removed', 'observations:Title text is still present'],
+        ['verdict:pass', 'observations:Axis labels are still visible'],
+        ['verdict:pass', 'observations:Legend text remains'],
+        ['verdict:pass', 'observations:Title text is still present'],
+        ['verdict:pass', 'observations:Data labels are still visible on the chart'],
+        ['verdict:fail', 'observations:Graph is otherwise clean and readable'],
+      ],
+      locale: 'en',
+      tones: GRAPH_TONES,
+      packs: GRAPH_PACKS,
+    },
+  },
+];
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function checkPattern(pattern, groupIds, where) {
+  if (!isText(pattern)) return `${where}: pattern is required`;
+  if (/\[[^\]]*\[/.test(pattern)) return `${where}: optional [sections] cannot be nested`;
+  for (const [, id, filter] of pattern.matchAll(PLACEHOLDER)) {
+    if (id !== 'notes' && !groupIds.includes(id)) return `${where}: {${id}} is not a group`;
+    if (filter && !FILTERS.includes(filter)) return `${where}: unknown filter |${filter}`;
+  }
+  return null;
+}
+
+function checkRequires(requires, groupIds, where) {
+  if (requires === undefined) return null;
+  if (!Array.isArray(requires) || requires.some(id => !groupIds.includes(id))) {
+    return `${where}: requires must list group ids`;
+  }
+  return null;
+}
+
+// Each conflict lists two or more "group:value" picks that shouldn't go together
+function checkConflicts(conflicts, groups) {
+  if (conflicts === undefined) return null;
+  if (!Array.isArray(conflicts)) return 'conflicts must be a list';
+  for (const [i, conflict] of conflicts.entries()) {
+    if (!Array.isArray(conflict) || conflict.length < 2) return `conflicts[${i}]: list at least two picks`;
+    for (const ref of conflict) {
+      const [id, ...rest] = String(ref).split(':');
+      const group = groups.find(g => g.id === id);
+      if (!group || !group.options.some(o => o.value === rest.join(':'))) {
+        return `conflicts[${i}]: "${ref}" is not a group:value pick`;
+      }
+    }
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// One tone or language's replacement text (see WORDING above)
+function checkWording(wording, def, groupIds, where) {
+  if (!isPlainObject(wording)) return `${where} must be an object`;
+  if (wording.pattern !== undefined) {
+    const error = checkPattern(wording.pattern, groupIds, `${where}.pattern`);
+    if (error) return error;
+  }
+  if (wording.placeholder !== undefined && typeof wording.placeholder !== 'string') {
+    return `${where}.placeholder must be a string`;
+  }
+  const optionAt = ref => {
+    const [id, ...rest] = ref.split(':');
+    const group = def.groups.find(g => g.id === id);
+    return group && group.options.some(o => o.value === rest.join(':')) ? group : null;
+  };
+  for (const key of ['patterns', 'text']) {
+    if (wording[key] === undefined) continue;
+    if (!isPlainObject(wording[key])) return `${where}.${key} must be an object`;
+    for (const [ref, value] of Object.entries(wording[key])) {
+      const group = optionAt(ref);
+      if (!group) return `${where}.${key}: "${ref}" is not a group:value pick`;
+      if (key === 'text' && typeof value !== 'string') return `${where}.text["${ref}"] must be a string`;
+      if (key === 'patterns') {
+        if (group.select !== 'single') return `${where}.patterns: "${ref}" is not a single-select option`;
+        const error = checkPattern(value, groupIds, `${where}.patterns["${ref}"]`);
+        if (error) return error;
+      }
+    }
+  }
+  return null;
+}
+
+function checkTones(tones, def, groupIds, where) {
+  if (tones === undefined) return null;
+  if (!isPlainObject(tones)) return `${where} must be an object`;
+  for (const [tone, wording] of Object.entries(tones)) {
+    if (!TONES.includes(tone)) return `${where}: tone must be one of ${TONES.join(', ')}`;
+    const error = checkWording(wording, def, groupIds, `${where}.${tone}`);
+    if (error) return error;
+  }
+  return null;
+}
+
+function checkWordingSets(def, groupIds) {
+  if (def.locale !== undefined && !LOCALE.test(def.locale)) return 'locale must be a code like "en" or "pt-BR"';
+  const error = checkTones(def.tones, def, groupIds, 'tones');
+  if (error) return error;
+  if (def.packs === undefined) return null;
+  if (!isPlainObject(def.packs)) return 'packs must be an object';
+  for (const [locale, pack] of Object.entries(def.packs)) {
+    if (!LOCALE.test(locale)) return `packs: "${locale}" is not a locale code like "es" or "pt-BR"`;
+    const { tones, ...wording } = isPlainObject(pack) ? pack : {};
+    const packError = checkWording(isPlainObject(pack) ? wording : pack, def, groupIds, `packs.${locale}`)
+      || checkTones(tones, def, groupIds, `packs.${locale}.tones`);
+    if (packError) return packError;
+  }
+  return null;
+}
+
+// Returns an error message, or null if the definition can be rendered
+function validateDefinition(def) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return 'definition must be an object';
+  if (!Array.isArray(def.groups) || def.groups.length === 0) return 'definition needs at least one group';
+  if (def.placeholder !== undefined && typeof def.placeholder !== 'string') return 'placeholder must be a string';
+
+  const groupIds = [];
+  for (const [i, group] of def.groups.entries()) {
+    const where = `groups[${i}]`;
+    if (!group || !GROUP_ID.test(group.id)) return `${where}: id must be a letter followed by letters, digits or _`;
+    if (RESERVED_IDS.includes(group.id) || groupIds.includes(group.id)) return `${where}: id "${group.id}" is already used`;
+    if (!isText(group.label)) return `${where}: label is required`;
+    if (group.select !== 'single' && group.select !== 'multi') return `${where}: select must be 'single' or 'multi'`;
+    if (group.required !== undefined && (typeof group.required !== 'boolean' || group.select !== 'single')) {
+      return `${where}: required is a true/false flag for single-select groups`;
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0) return `${where}: needs at least one option`;
+
+    const values = new Set();
+    for (const [j, opt] of group.options.entries()) {
+      const at = `${where}.options[${j}]`;
+      if (!opt || !isText(opt.label) || !isText(opt.value)) return `${at}: label and value are required`;
+      if (values.has(opt.value)) return `${at}: value "${opt.value}" is repeated`;
+      values.add(opt.value);
+      if (opt.text !== undefined && typeof opt.text !== 'string') return `${at}: text must be a string`;
+      if ((opt.pattern !== undefined || opt.requires !== undefined) && group.select !== 'single') {
+        return `${at}: only single-select options can change the pattern`;
+      }
+    }
+    groupIds.push(group.id);
+  }
+
+  const error = checkPattern(def.pattern, groupIds, 'pattern')
+    || checkRequires(def.requires, groupIds, 'requires')
+    || checkConflicts(def.conflicts, def.groups)
+    || checkWordingSets(def, groupIds);
+  if (error) return error;
+  for (const [i, group] of def.groups.entries()) {
+    for (const [j, opt] of group.options.entries()) {
+      const at = `groups[${i}].options[${j}]`;
+      const optError = (opt.pattern !== undefined && checkPattern(opt.pattern, groupIds, at))
+        || checkRequires(opt.requires, groupIds, at);
+      if (optError) return optError;
+    }
+  }
+  return null;
+}
+
+function validateBuilder(body, partial) {
+  const { task_type, name, definition } = body;
+  if (!partial || task_type !== undefined) {
+    if (typeof task_type !== 'string' || !TASK_TYPE.test(task_type)) {
+      return 'task_type must be lowercase letters, digits, - or _ (up to 32)';
+    }
+  }
+  if (!partial || name !== undefined) {
+    if (!isText(name)) return 'Name is required';
+  }
+  if (!partial || definition !== undefined) return validateDefinition(definition);
+  return null;
+}
+
+module.exports = { DEFAULT_BUILDERS, LOCALE, TONES, validateBuilder, validateDefinition };
@@ -0,0 +1,62 @@
+// Writes iCalendar (RFC 5545) for the session feed. Text is escaped, and lines
+// are folded at 75 octets without splitting a UTF-8 character.
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with a space, which counts toward their 75
+    if (bytes + size > 75) {
+      out.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n');
+}
+
+// "2026-03-08 14:05:00" (UTC) as 20260308T140500Z
+function icsTime(sqlTime) {
+  return sqlTime.replace(/[-:]/g, '').replace(' ', 'T') + 'Z';
+}
+
+// { name, refreshMinutes, events: [{ uid, start, end, summary, description }] } with times as UTC SQL times
+function renderCalendar({ name, refreshMinutes, events }) {
+  const stamp = icsTime(new Date().toISOString().slice(0, 19).replace('T', ' '));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Remote Work Hub//Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+  ];
+  events.forEach(e => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsTime(e.start)}`,
+      `DTEND:${icsTime(e.end)}`,
+      `SUMMARY:${escapeText(e.summary)}`,
+      ...(e.description ? [`DESCRIPTION:${escapeText(e.description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { renderCalendar };
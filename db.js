@@ -1,36 +1,19 @@
 const Database = require('better-sqlite3');
-const path = require('path');
+const { localDate } = require('./timezone');
+const { DB_FILE, migrate } = require('./migrations');
 
-const db = new Database(path.join(__dirname, 'remoteworkpal.db'));
+const db = new Database(DB_FILE);
 
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS sessions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    task_type TEXT NOT NULL DEFAULT 'general',
-    start_time TEXT NOT NULL DEFAULT (datetime('now')),
-    end_time TEXT,
-    task_count INTEGER DEFAULT 0,
-    notes TEXT DEFAULT '',
-    created_at TEXT DEFAULT (datetime('now'))
-  );
+// local_date(utc_time, time_zone): the calendar day a stored UTC time falls on for the user
+db.function('local_date', { deterministic: true }, (value, timeZone) =>
+  value == null ? null : localDate(value, timeZone)
+);
 
-  CREATE TABLE IF NOT EXISTS templates (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    task_type TEXT NOT NULL,
-    content TEXT NOT NULL DEFAULT '{}',
-    created_at TEXT DEFAULT (datetime('now'))
-  );
-
-  CREATE TABLE IF NOT EXISTS settings (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    key TEXT NOT NULL UNIQUE,
-    value TEXT NOT NULL DEFAULT '',
-    updated_at TEXT DEFAULT (datetime('now'))
-  );
-`);
+// The schema lives in migrations.js; this throws (and the server doesn't start)
+// if the database is newer than this code
+migrate(db).forEach(m => console.log(`Applied migration ${m.version}: ${m.name}`));
 
 module.exports = db;
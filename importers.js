@@ -0,0 +1,278 @@
+// Reads time entries exported by other trackers into session candidates:
+// Toggl and Clockify detailed-report CSVs, and iCalendar (.ics) files. Nothing
+// here touches the database. A file's text goes in, and this comes out:
+//
+// {
+//   format: "toggl" | "clockify" | "ics",
+//   entries: [{ ref: "row 4", start_time, end_time, notes, project, task_type }],  // times in UTC
+//   errors: [{ ref: "event 2", error: "All-day event (no times)" }]
+// }
+//
+// task_type is a slug taken from the entry's first tag (or its Toggl/Clockify
+// task), or from a calendar event's second category (the first is its
+// project); "" when the file names none, for the caller to fill in.
+//
+// or { error } when the file isn't one of these formats at all. CSV times are
+// wall-clock times in the exporting account's zone, so the caller says which
+// zone that was. So do iCalendar times without a Z or TZID.
+const { isValidTimeZone, zonedTimeToUtc } = require('./timezone');
+
+// ─── CSV ───
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// "Graph Review" as "graph-review": the shape task types take everywhere else
+function taskTypeOf(label) {
+  return label.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|-+$/g, '').slice(0, 32).replace(/-+$/, '');
+}
+
+// "2026-03-08", "03/08/2026" or "08.03.2026" as [year, month, day]; slashed and
+// dotted dates are read month-first or day-first per `order`
+function splitDate(value, order) {
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (m) return [+m[1], +m[2], +m[3]];
+  m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+  if (!m) return null;
+  return order === 'dmy' ? [+m[3], +m[2], +m[1]] : [+m[3], +m[1], +m[2]];
+}
+
+// "14:05:00", "14:05" or "2:05:00 PM" as "HH:MM:SS"
+function normalizeTime(value) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?$/i.exec(value);
+  if (!m) return null;
+  let hour = +m[1];
+  if (m[4]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[4].toLowerCase() === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || +m[2] > 59 || +(m[3] || 0) > 59) return null;
+  return `${pad(hour)}:${m[2]}:${m[3] || '00'}`;
+}
+
+function wallTime(date, time, order) {
+  const parts = splitDate(date.trim(), order);
+  const clock = normalizeTime(time.trim());
+  if (!parts || !clock) return null;
+  const [y, mo, d] = parts;
+  const check = new Date(Date.UTC(y, mo - 1, d));
+  if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) return null;
+  return `${y}-${pad(mo)}-${pad(d)} ${clock}`;
+}
+
+// Clockify writes dates in the account's format. Any first part over 12 means
+// day-first; any second part over 12 means month-first; otherwise `fallback`.
+function guessDateOrder(values, fallback) {
+  const slashed = values.map(v => /^(\d{1,2})[/.-](\d{1,2})[/.-]\d{4}$/.exec(v.trim())).filter(Boolean);
+  if (slashed.some(m => +m[1] > 12)) return 'dmy';
+  if (slashed.some(m => +m[2] > 12)) return 'mdy';
+  return fallback;
+}
+
+// Toggl's detailed export capitalises "Start date", Clockify's "Start Date";
+// otherwise the columns used here match
+function csvFormat(header) {
+  if (['Start date', 'Start time', 'End date', 'End time'].every(h => header.includes(h))) return 'toggl';
+  if (['Start Date', 'Start Time', 'End Date', 'End Time'].every(h => header.includes(h))) return 'clockify';
+  return null;
+}
+
+function parseTrackerCsv(text, { timeZone, dateOrder }) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const header = (rows[0] || []).map(h => h.trim());
+  const format = csvFormat(header);
+  if (!format) {
+    return { error: 'Unrecognised CSV: expected a Toggl or Clockify detailed export (Start date, Start time, End date, End time columns)' };
+  }
+
+  const col = name => header.findIndex(h => h.toLowerCase() === name);
+  const at = {
+    startDate: col('start date'), startTime: col('start time'), endDate: col('end date'), endTime: col('end time'),
+    description: col('description'), task: col('task'), project: col('project'), tags: col('tags'),
+  };
+  const cell = (row, index) => (index >= 0 && row[index] !== undefined ? row[index].trim() : '');
+
+  const body = rows.slice(1).map((row, i) => ({ row, ref: `row ${i + 2}` }))
+    .filter(({ row }) => row.some(f => f.trim()));
+  const order = dateOrder || guessDateOrder(body.flatMap(({ row }) => [cell(row, at.startDate), cell(row, at.endDate)]), 'mdy');
+
+  const entries = [];
+  const errors = [];
+  body.forEach(({ row, ref }) => {
+    const start = wallTime(cell(row, at.startDate), cell(row, at.startTime), order);
+    const end = wallTime(cell(row, at.endDate), cell(row, at.endTime), order);
+    if (!start || !end) {
+      errors.push({ ref, error: 'Start or end date/time could not be read' });
+      return;
+    }
+    entries.push({
+      ref,
+      start_time: zonedTimeToUtc(start, timeZone),
+      end_time: zonedTimeToUtc(end, timeZone),
+      notes: cell(row, at.description) || cell(row, at.task),
+      project: cell(row, at.project),
+      task_type: taskTypeOf(cell(row, at.tags).split(',')[0] || cell(row, at.task)),
+    });
+  });
+  return { format, entries, errors };
+}
+
+// ─── iCalendar ───
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// "NAME;PARAM=x;PARAM2=y:value" (quoted parameter values may contain : and ;)
+function parseContentLine(line) {
+  const m = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*))*):(.*)$/.exec(line);
+  if (!m) return null;
+  const params = {};
+  m[2].split(/;(?=[A-Za-z0-9-]+=)/).filter(Boolean).forEach(p => {
+    const i = p.indexOf('=');
+    params[p.slice(0, i).toUpperCase()] = p.slice(i + 1).replace(/^"|"$/g, '');
+  });
+  return { name: m[1].toUpperCase(), params, value: m[3] };
+}
+
+// DTSTART/DTEND as UTC: "…Z" is UTC already, TZID names the zone, and
+// anything else is floating time in `timeZone`
+function icsTime(prop, timeZone) {
+  if (prop.params.VALUE === 'DATE' || /^\d{8}$/.test(prop.value)) return { error: 'All-day event (no times)' };
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(prop.value.trim());
+  if (!m) return { error: `Unreadable time "${prop.value}"` };
+  const wall = `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}`;
+  if (m[7]) return { time: wall };
+  const zone = prop.params.TZID || timeZone;
+  if (!isValidTimeZone(zone)) return { error: `Unknown time zone "${zone}"` };
+  return { time: zonedTimeToUtc(wall, zone) };
+}
+
+// "PT1H30M", "P1DT2H": added to a UTC SQL time
+function addDuration(start, duration) {
+  const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration.trim());
+  if (!m) return null;
+  const [weeks, days, hours, minutes, seconds] = m.slice(1).map(n => +(n || 0));
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return new Date(Date.parse(start.replace(' ', 'T') + 'Z') + ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function parseIcs(text, { timeZone }) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(l => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) return { error: 'Not an iCalendar file' };
+
+  const events = [];
+  let event = null;
+  let nested = 0; // VALARM and friends inside an event
+  lines.forEach(line => {
+    const prop = parseContentLine(line.trim());
+    if (!prop) return;
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') {
+      event = {};
+      events.push(event);
+    } else if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      event = null;
+    } else if (event && prop.name === 'BEGIN') {
+      nested++;
+    } else if (event && prop.name === 'END') {
+      nested--;
+    } else if (event && nested === 0 && !(prop.name in event)) {
+      event[prop.name] = prop;
+    }
+  });
+
+  const entries = [];
+  const errors = [];
+  events.forEach((ev, i) => {
+    const summary = ev.SUMMARY ? unescapeText(ev.SUMMARY.value).trim() : '';
+    const ref = summary ? `event ${i + 1} (${summary})` : `event ${i + 1}`;
+    const fail = error => errors.push({ ref, error });
+
+    if (ev.STATUS && ev.STATUS.value.toUpperCase() === 'CANCELLED') return fail('Cancelled event');
+    // Expanding repeats would invent history; only single events are imported
+    if (ev.RRULE) return fail('Recurring event');
+    if (!ev.DTSTART) return fail('No start time');
+
+    const start = icsTime(ev.DTSTART, timeZone);
+    if (start.error) return fail(start.error);
+    let end;
+    if (ev.DTEND) {
+      end = icsTime(ev.DTEND, timeZone);
+      if (end.error) return fail(end.error);
+      end = end.time;
+    } else if (ev.DURATION) {
+      end = addDuration(start.time, ev.DURATION.value);
+      if (!end) return fail(`Unreadable duration "${ev.DURATION.value}"`);
+    } else {
+      return fail('No end time or duration');
+    }
+
+    const description = ev.DESCRIPTION ? unescapeText(ev.DESCRIPTION.value).trim() : '';
+    // Commas escaped as "\," belong to a name; bare ones separate categories
+    const categories = ev.CATEGORIES
+      ? ev.CATEGORIES.value.split(/(?<!\\),/).map(c => unescapeText(c).trim())
+      : [];
+    entries.push({
+      ref,
+      start_time: start.time,
+      end_time: end,
+      notes: [summary, description].filter(Boolean).join('\n'),
+      project: categories[0] || '',
+      task_type: taskTypeOf(categories[1] || ''),
+    });
+  });
+  return { format: 'ics', entries, errors };
+}
+
+// ─── Entry point ───
+// options: { timeZone, dateOrder?: "mdy" | "dmy" } (dateOrder is guessed if left out)
+function parseSessionFile(text, options) {
+  const result = /BEGIN:VCALENDAR/i.test(text.slice(0, 1000)) ? parseIcs(text, options) : parseTrackerCsv(text, options);
+  if (result.error) return result;
+
+  // Zero-length and backwards entries can't become sessions
+  const entries = [];
+  result.entries.forEach(entry => {
+    if (entry.end_time > entry.start_time) entries.push(entry);
+    else result.errors.push({ ref: entry.ref, error: 'Ends before it starts' });
+  });
+  return { ...result, entries };
+}
+
+module.exports = { parseCsv, parseSessionFile };
@@ -0,0 +1,245 @@
+// Prints a stored invoice: a standalone HTML page for the browser's print
+// dialog, and a PDF drawn with pdf.js. Both take the invoice as GET
+// /api/invoices/:id returns it:
+//
+// {
+//   number, status: "issued" | "paid" | "void", issued_on, due_on, period_from, period_to,
+//   business_name, business_details, client, notes,  // details are "\n"-separated lines
+//   currency, tax_label, tax_rate, subtotal, tax, total,
+//   lines: [{ description, unit: "hours" | "tasks", quantity, rate, amount }]
+// }
+const { createDocument, textWidth, wrapText } = require('./pdf');
+
+function formatMoney(amount, currency) {
+  return currency + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatQuantity(line) {
+  return line.unit === 'hours' ? line.quantity.toFixed(2) : String(line.quantity);
+}
+
+// "2026-03-08" as "Mar 8, 2026"
+function formatDay(day) {
+  return new Date(day + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function taxLine(invoice) {
+  return `${invoice.tax_label} (${invoice.tax_rate}%)`;
+}
+
+// Label/value pairs under the title, shared by both formats
+function metaRows(invoice) {
+  return [
+    ['Invoice', invoice.number],
+    ['Issued', formatDay(invoice.issued_on)],
+    ['Due', formatDay(invoice.due_on)],
+    ['Period', `${formatDay(invoice.period_from)} – ${formatDay(invoice.period_to)}`],
+  ];
+}
+
+const STAMPS = { paid: 'PAID', void: 'VOID' };
+
+// ─── HTML ───
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const htmlLines = text => escapeHtml(text).replace(/\n/g, '<br>');
+
+function renderInvoiceHtml(invoice) {
+  const money = n => escapeHtml(formatMoney(n, invoice.currency));
+  const stamp = STAMPS[invoice.status];
+  const rows = invoice.lines.map(l => `
+        <tr>
+          <td>${escapeHtml(l.description)}</td>
+          <td class="num">${formatQuantity(l)} ${l.unit}</td>
+          <td class="num">${money(l.rate)}</td>
+          <td class="num">${money(l.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(invoice.number)}</title>
+<style>
+  body { font: 14px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111; margin: 0; background: #f4f4f5; }
+  .page { max-width: 780px; margin: 24px auto; padding: 48px; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.12); }
+  header { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; }
+  h1 { font-size: 28px; margin: 0 0 8px; letter-spacing: 0.04em; }
+  .business { font-size: 18px; font-weight: 700; margin-bottom: 4px; }
+  .muted { color: #555; }
+  .meta { text-align: right; }
+  .meta td { padding: 1px 0 1px 12px; }
+  .stamp { display: inline-block; border: 2px solid #b91c1c; color: #b91c1c; font-weight: 700; padding: 2px 10px; margin-bottom: 8px; }
+  .bill-to { margin-bottom: 28px; }
+  .label { font-size: 12px; font-weight: 700; text-transform: uppercase; color: #555; margin-bottom: 4px; }
+  table.items { width: 100%; border-collapse: collapse; }
+  .items th { text-align: left; font-size: 12px; text-transform: uppercase; color: #555; background: #f1f1f3; padding: 8px; }
+  .items td { padding: 8px; border-bottom: 1px solid #e4e4e7; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  .items th.num { text-align: right; }
+  .totals { margin: 16px 0 0 auto; }
+  .totals td { padding: 3px 8px; }
+  .totals .grand td { font-size: 18px; font-weight: 700; border-top: 2px solid #111; padding-top: 8px; }
+  .notes { margin-top: 36px; }
+  .print { position: fixed; top: 16px; right: 16px; padding: 8px 16px; font: inherit; cursor: pointer; }
+  @media print {
+    body { background: #fff; }
+    .page { margin: 0; padding: 0; box-shadow: none; max-width: none; }
+    .print { display: none; }
+  }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print</button>
+<div class="page">
+  <header>
+    <div>
+      ${invoice.business_name ? `<div class="business">${escapeHtml(invoice.business_name)}</div>` : ''}
+      <div class="muted">${htmlLines(invoice.business_details)}</div>
+    </div>
+    <div class="meta">
+      <h1>INVOICE</h1>
+      ${stamp ? `<div class="stamp">${stamp}</div>` : ''}
+      <table>${metaRows(invoice).map(([k, v]) => `<tr><td class="muted">${k}</td><td>${escapeHtml(v)}</td></tr>`).join('')}</table>
+    </div>
+  </header>
+  ${invoice.client ? `<div class="bill-to"><div class="label">Bill To</div>${htmlLines(invoice.client)}</div>` : ''}
+  <table class="items">
+    <thead><tr><th>Description</th><th class="num">Quantity</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td class="muted">Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+    ${invoice.tax_rate ? `<tr><td class="muted">${escapeHtml(taxLine(invoice))}</td><td class="num">${money(invoice.tax)}</td></tr>` : ''}
+    <tr class="grand"><td>Total</td><td class="num">${money(invoice.total)}</td></tr>
+  </table>
+  ${invoice.notes ? `<div class="notes"><div class="label">Payment Details</div>${htmlLines(invoice.notes)}</div>` : ''}
+</div>
+</body>
+</html>
+`;
+}
+
+// ─── PDF ───
+// US Letter. The item table runs onto more pages as needed, repeating its
+// header on each
+const MARGIN = 50;
+const GREY = [0.4, 0.4, 0.4];
+const RULE = [0.85, 0.85, 0.87];
+const COLUMNS = { description: MARGIN, quantity: 392, rate: 472, amount: 562 };
+const DESCRIPTION_WIDTH = 250;
+
+function renderInvoicePdf(invoice) {
+  const doc = createDocument({ title: invoice.number });
+  const money = n => formatMoney(n, invoice.currency);
+  const right = doc.width - MARGIN;
+  let y;
+
+  doc.addPage();
+  y = doc.height - MARGIN - 18;
+
+  // Business on the left, title and dates on the right
+  let left = y;
+  if (invoice.business_name) {
+    doc.text(invoice.business_name, MARGIN, left, { size: 16, bold: true });
+    left -= 20;
+  }
+  invoice.business_details.split('\n').filter(Boolean).forEach(text => {
+    wrapText(text, 280, 10).forEach(l => {
+      doc.text(l, MARGIN, left, { color: GREY });
+      left -= 13;
+    });
+  });
+
+  doc.text('INVOICE', right, y, { size: 24, bold: true, align: 'right' });
+  let meta = y - 24;
+  const stamp = STAMPS[invoice.status];
+  if (stamp) {
+    doc.text(stamp, right, meta, { size: 14, bold: true, align: 'right', color: [0.73, 0.11, 0.11] });
+    meta -= 20;
+  }
+  metaRows(invoice).forEach(([label, value]) => {
+    doc.text(value, right, meta, { align: 'right' });
+    doc.text(label, right - textWidth(value, 10) - 10, meta, { align: 'right', color: GREY });
+    meta -= 14;
+  });
+
+  y = Math.min(left, meta) - 16;
+  if (invoice.client) {
+    doc.text('BILL TO', MARGIN, y, { size: 9, bold: true, color: GREY });
+    y -= 14;
+    invoice.client.split('\n').filter(Boolean).forEach(text => {
+      wrapText(text, 280, 10).forEach(l => {
+        doc.text(l, MARGIN, y);
+        y -= 13;
+      });
+    });
+    y -= 12;
+  }
+
+  const tableHeader = () => {
+    doc.fillRect(MARGIN, y - 6, right - MARGIN, 20, [0.945, 0.945, 0.953]);
+    doc.text('DESCRIPTION', COLUMNS.description + 6, y, { size: 9, bold: true, color: GREY });
+    doc.text('QUANTITY', COLUMNS.quantity, y, { size: 9, bold: true, color: GREY, align: 'right' });
+    doc.text('RATE', COLUMNS.rate, y, { size: 9, bold: true, color: GREY, align: 'right' });
+    doc.text('AMOUNT', COLUMNS.amount - 6, y, { size: 9, bold: true, color: GREY, align: 'right' });
+    y -= 26;
+  };
+  // Starts a new page when `needed` points won't fit above the bottom margin
+  const ensureRoom = (needed, withHeader) => {
+    if (y - needed >= MARGIN) return;
+    doc.addPage();
+    y = doc.height - MARGIN - 10;
+    if (withHeader) tableHeader();
+  };
+
+  tableHeader();
+  invoice.lines.forEach(l => {
+    const description = wrapText(l.description, DESCRIPTION_WIDTH, 10);
+    ensureRoom(description.length * 13 + 8, true);
+    doc.text(`${formatQuantity(l)} ${l.unit}`, COLUMNS.quantity, y, { align: 'right' });
+    doc.text(money(l.rate), COLUMNS.rate, y, { align: 'right' });
+    doc.text(money(l.amount), COLUMNS.amount - 6, y, { align: 'right' });
+    description.forEach(text => {
+      doc.text(text, COLUMNS.description + 6, y);
+      y -= 13;
+    });
+    doc.line(MARGIN, y + 4, right, y + 4, { color: RULE });
+    y -= 10;
+  });
+
+  const totals = [['Subtotal', money(invoice.subtotal)]];
+  if (invoice.tax_rate) totals.push([taxLine(invoice), money(invoice.tax)]);
+  ensureRoom(totals.length * 16 + 40, false);
+  y -= 6;
+  totals.forEach(([label, value]) => {
+    doc.text(label, COLUMNS.rate, y, { align: 'right', color: GREY });
+    doc.text(value, COLUMNS.amount - 6, y, { align: 'right' });
+    y -= 16;
+  });
+  doc.line(COLUMNS.quantity, y + 8, right, y + 8, { width: 1.5 });
+  y -= 10;
+  doc.text('Total', COLUMNS.rate, y, { size: 13, bold: true, align: 'right' });
+  doc.text(money(invoice.total), COLUMNS.amount - 6, y, { size: 13, bold: true, align: 'right' });
+  y -= 36;
+
+  if (invoice.notes) {
+    const notes = invoice.notes.split('\n').flatMap(text => wrapText(text, right - MARGIN, 10));
+    ensureRoom(14 + Math.min(notes.length, 3) * 13, false);
+    doc.text('PAYMENT DETAILS', MARGIN, y, { size: 9, bold: true, color: GREY });
+    y -= 14;
+    notes.forEach(text => {
+      ensureRoom(13, false);
+      doc.text(text, MARGIN, y);
+      y -= 13;
+    });
+  }
+
+  return doc.render();
+}
+
+module.exports = { renderInvoiceHtml, renderInvoicePdf };
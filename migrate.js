@@ -0,0 +1,49 @@
+// Schema migrations from the command line. The server applies pending ones on
+// start anyway; this is for checking a database or migrating it ahead of a deploy.
+//
+//   npm run migrate               apply pending migrations
+//   npm run migrate -- --status   list applied and pending, change nothing
+require('dotenv').config();
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { DB_FILE, LATEST_VERSION, migrate, migrationStatus } = require('./migrations');
+
+function printStatus(db) {
+  const { version, latest, applied, pending } = migrationStatus(db);
+  console.log(`Database: ${DB_FILE}`);
+  console.log(`Schema version ${version} of ${latest}`);
+  applied.forEach(m => console.log(`  applied  ${m.version} ${m.name} (${m.applied_at} UTC)`));
+  pending.forEach(m => console.log(`  pending  ${m.version} ${m.name}`));
+  if (version > latest) console.log('The database is newer than this version of the app; it will not start.');
+}
+
+const args = process.argv.slice(2);
+const unknown = args.filter(a => a !== '--status');
+if (unknown.length) {
+  console.error(`Unknown option: ${unknown.join(' ')}\nUsage: npm run migrate [-- --status]`);
+  process.exit(2);
+}
+
+if (args.includes('--status')) {
+  if (!fs.existsSync(DB_FILE)) {
+    console.log(`No database at ${DB_FILE} yet; it is created at schema version ${LATEST_VERSION} on first start.`);
+    process.exit(0);
+  }
+  const db = new Database(DB_FILE, { readonly: true });
+  printStatus(db);
+  db.close();
+} else {
+  const db = new Database(DB_FILE);
+  db.pragma('foreign_keys = ON');
+  try {
+    const applied = migrate(db);
+    applied.forEach(m => console.log(`Applied migration ${m.version}: ${m.name}`));
+    if (applied.length === 0) console.log('Nothing to apply');
+    printStatus(db);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
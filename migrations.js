@@ -0,0 +1,366 @@
+// Schema changes for remoteworkpal.db, applied in order. The database records
+// which ones it has (schema_migrations), so each runs exactly once, inside a
+// transaction together with its record: a failed migration leaves the database
+// as it was. A database with a migration this code doesn't know was written by
+// a newer version of the app, so the app refuses to start rather than guess.
+//
+// To change the schema, add { version: <next>, name, up(db) } at the end.
+// Never edit or reorder one that has shipped. Migrations after the baseline
+// can ALTER freely, because every database reaching them has the same shape.
+//
+// `npm run migrate -- --status` lists what has been applied (migrate.js).
+const path = require('path');
+const { DEFAULT_BUILDERS } = require('./builders');
+
+// DB_PATH moves the database, e.g. onto a volume that survives redeploys
+const DB_FILE = process.env.DB_PATH || path.join(__dirname, 'remoteworkpal.db');
+
+// Before versioning, CREATE TABLE IF NOT EXISTS built the schema and columns
+// added later were patched on if missing. Only the baseline still needs this.
+function addColumn(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // The schema as it stood when versioning arrived. Databases from before then
+    // may be at any earlier point, so every step checks before it changes anything.
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT NOT NULL DEFAULT '',
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          token_hash TEXT NOT NULL UNIQUE,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          expires_at TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+
+        CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          hourly_rate REAL NOT NULL DEFAULT 0,
+          color TEXT NOT NULL DEFAULT '#f97316',
+          archived INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_type TEXT NOT NULL DEFAULT 'general',
+          project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+          start_time TEXT NOT NULL DEFAULT (datetime('now')),
+          end_time TEXT,
+          task_count INTEGER DEFAULT 0,
+          notes TEXT DEFAULT '',
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS session_breaks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+          start_time TEXT NOT NULL DEFAULT (datetime('now')),
+          end_time TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_session_breaks_session ON session_breaks(session_id);
+
+        CREATE TABLE IF NOT EXISTS focus_intervals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+          kind TEXT NOT NULL CHECK (kind IN ('work', 'break')),
+          planned_seconds INTEGER NOT NULL,
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          completed INTEGER NOT NULL DEFAULT 1
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_focus_intervals_session ON focus_intervals(session_id);
+
+        CREATE TABLE IF NOT EXISTS templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          task_type TEXT NOT NULL,
+          content TEXT NOT NULL DEFAULT '{}',
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS task_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          template_id INTEGER REFERENCES templates(id) ON DELETE SET NULL,
+          label TEXT NOT NULL DEFAULT ''
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_task_events_session ON task_events(session_id, created_at);
+
+        CREATE TABLE IF NOT EXISTS copy_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+          task_event_id INTEGER REFERENCES task_events(id) ON DELETE SET NULL,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          task_type TEXT NOT NULL,
+          builder_name TEXT NOT NULL DEFAULT '',
+          summary TEXT NOT NULL DEFAULT '',
+          selections TEXT NOT NULL DEFAULT '{}',
+          text TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_copy_log_session ON copy_log(session_id, created_at);
+
+        CREATE TABLE IF NOT EXISTS settings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          key TEXT NOT NULL,
+          value TEXT NOT NULL DEFAULT '',
+          updated_at TEXT DEFAULT (datetime('now')),
+          UNIQUE (user_id, key)
+        );
+      `);
+
+      addColumn(db, 'sessions', 'project_id', 'INTEGER REFERENCES projects(id) ON DELETE SET NULL');
+      addColumn(db, 'sessions', 'last_activity_at', 'TEXT');
+      addColumn(db, 'sessions', 'auto_stopped', 'INTEGER NOT NULL DEFAULT 0');
+      addColumn(db, 'templates', 'use_count', 'INTEGER NOT NULL DEFAULT 0');
+      addColumn(db, 'templates', 'last_used_at', 'TEXT');
+      addColumn(db, 'projects', 'min_rationale_chars', 'INTEGER NOT NULL DEFAULT 0');
+      addColumn(db, 'projects', 'locale', "TEXT NOT NULL DEFAULT ''");
+      addColumn(db, 'projects', 'tone', "TEXT NOT NULL DEFAULT ''");
+
+      // Rows belong to a user. Ones from before accounts existed have no user_id until
+      // the first account is created and adopts them (see claimUnownedRows in server.js).
+      ['projects', 'sessions', 'templates'].forEach(table => {
+        addColumn(db, table, 'user_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+      });
+
+      // settings.key used to be unique on its own; a column can't lose a constraint in
+      // SQLite, so older tables are copied into the per-user shape.
+      if (!db.prepare('PRAGMA table_info(settings)').all().some(c => c.name === 'user_id')) {
+        db.exec(`
+          CREATE TABLE settings_per_user (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL DEFAULT '',
+            updated_at TEXT DEFAULT (datetime('now')),
+            UNIQUE (user_id, key)
+          );
+          INSERT INTO settings_per_user (key, value, updated_at) SELECT key, value, updated_at FROM settings;
+          DROP TABLE settings;
+          ALTER TABLE settings_per_user RENAME TO settings;
+        `);
+      }
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_projects_user ON projects(user_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, start_time);
+        CREATE INDEX IF NOT EXISTS idx_templates_user ON templates(user_id, task_type);
+      `);
+
+      // A workspace groups users so a manager can see their hours side by side;
+      // members' data stays their own, workspaces only grant read access to totals.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS workspaces (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS workspace_members (
+          workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('manager', 'member')),
+          joined_at TEXT DEFAULT (datetime('now')),
+          PRIMARY KEY (workspace_id, user_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id);
+      `);
+
+      // Builders used to be hardcoded in the page; a database that has never had the
+      // table starts with those two, and after that they are the user's to change.
+      const hasBuilders = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'builders'").get();
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS builders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_type TEXT NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          definition TEXT NOT NULL,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+      `);
+      if (!hasBuilders) {
+        const insert = db.prepare('INSERT INTO builders (task_type, name, definition) VALUES (?, ?, ?)');
+        DEFAULT_BUILDERS.forEach(b => insert.run(b.task_type, b.name, JSON.stringify(b.definition)));
+      }
+    },
+  },
+  {
+    version: 2,
+    name: 'calendar_feeds',
+    // One subscription link per user; like sign-in tokens, only the hash is kept
+    up(db) {
+      db.exec(`
+        CREATE TABLE calendar_feeds (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          token_hash TEXT NOT NULL UNIQUE,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          last_fetched_at TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'invoices',
+    // An invoice keeps a copy of the business details, rates and amounts it was
+    // issued with, so later changes to settings or projects don't rewrite it.
+    // sessions.invoice_id marks a session as billed.
+    up(db) {
+      db.exec(`
+        CREATE TABLE invoices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          sequence INTEGER NOT NULL,
+          number TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'issued',
+          period_from TEXT NOT NULL,
+          period_to TEXT NOT NULL,
+          issued_on TEXT NOT NULL,
+          due_on TEXT NOT NULL,
+          client TEXT NOT NULL DEFAULT '',
+          business_name TEXT NOT NULL DEFAULT '',
+          business_details TEXT NOT NULL DEFAULT '',
+          notes TEXT NOT NULL DEFAULT '',
+          currency TEXT NOT NULL DEFAULT '$',
+          tax_label TEXT NOT NULL DEFAULT 'Tax',
+          tax_rate REAL NOT NULL DEFAULT 0,
+          subtotal REAL NOT NULL,
+          tax REAL NOT NULL,
+          total REAL NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE (user_id, number)
+        );
+
+        CREATE TABLE invoice_lines (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          description TEXT NOT NULL,
+          task_type TEXT,
+          project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+          unit TEXT NOT NULL,
+          quantity REAL NOT NULL,
+          rate REAL NOT NULL,
+          amount REAL NOT NULL
+        );
+
+        ALTER TABLE sessions ADD COLUMN invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL;
+        CREATE INDEX idx_sessions_invoice ON sessions(invoice_id);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'admin_accounts',
+    // Admins look after what everyone on the server shares (the builders). The
+    // first account is one, as it is for new servers.
+    up(db) {
+      db.exec(`
+        ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0;
+        UPDATE users SET is_admin = 1 WHERE id = (SELECT MIN(id) FROM users);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'workspace_invitations',
+    // Adding someone to a workspace now invites them (accepted_at NULL) until
+    // they accept. Nobody agreed to the memberships made before this, so they
+    // become invitations too, except each workspace's first manager: its creator.
+    up(db) {
+      db.exec(`
+        ALTER TABLE workspace_members ADD COLUMN accepted_at TEXT;
+        ALTER TABLE workspace_members ADD COLUMN invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+        UPDATE workspace_members SET accepted_at = COALESCE(joined_at, datetime('now'))
+        WHERE rowid IN (
+          SELECT (
+            SELECT m.rowid FROM workspace_members m
+            WHERE m.workspace_id = w.id AND m.role = 'manager'
+            ORDER BY m.joined_at, m.rowid
+            LIMIT 1
+          )
+          FROM workspaces w
+        );
+      `);
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function ensureMigrationTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+// Applied migrations, oldest first; none for a database from before versioning
+function appliedMigrations(db) {
+  const hasTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  return hasTable ? db.prepare('SELECT * FROM schema_migrations ORDER BY version').all() : [];
+}
+
+function schemaVersion(db) {
+  const applied = appliedMigrations(db);
+  return applied.length ? applied[applied.length - 1].version : 0;
+}
+
+// { version, latest, applied: [...], pending: [{ version, name }] } without changing anything
+function migrationStatus(db) {
+  const version = schemaVersion(db);
+  return {
+    version,
+    latest: LATEST_VERSION,
+    applied: appliedMigrations(db),
+    pending: MIGRATIONS.filter(m => m.version > version).map(({ version: v, name }) => ({ version: v, name })),
+  };
+}
+
+// Brings the database up to LATEST_VERSION; returns the migrations it applied
+function migrate(db) {
+  const version = schemaVersion(db);
+  if (version > LATEST_VERSION) {
+    throw new Error(`Database schema is at version ${version}, but this version of the app only knows up to ${LATEST_VERSION}. `
+      + 'Update the app, or restore a backup made by this version.');
+  }
+
+  ensureMigrationTable(db);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const pending = MIGRATIONS.filter(m => m.version > version);
+  pending.forEach(m => {
+    db.transaction(() => {
+      m.up(db);
+      record.run(m.version, m.name);
+    })();
+  });
+  return pending.map(({ version: v, name }) => ({ version: v, name }));
+}
+
+module.exports = { DB_FILE, LATEST_VERSION, migrate, migrationStatus };
@@ -0,0 +1,159 @@
+// Just enough PDF 1.4 to print invoices without a headless browser or a
+// service: pages of text, rules and filled boxes. Text uses the standard
+// Helvetica fonts every PDF reader has built in, so nothing is embedded. Those
+// fonts only cover WinAnsi (Latin-1 plus a few typographic marks); anything
+// else prints as "?".
+//
+// const doc = createDocument({ title: 'INV-0001' });
+// doc.addPage();
+// doc.text('Total', 562, 700, { size: 12, bold: true, align: 'right' });
+// const buffer = doc.render();
+//
+// Coordinates are points from the bottom-left corner, as in PDF itself.
+
+// Advance widths (1/1000 em) for characters 32-126, from the Adobe AFM files
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi codes (and regular/bold widths) for the marks outside Latin-1
+const WIN_ANSI_EXTRA = {
+  '€': [0x80, 556, 556], '…': [0x85, 1000, 1000], '•': [0x95, 350, 350], '™': [0x99, 1000, 1000],
+  '‘': [0x91, 222, 278], '’': [0x92, 222, 278], '“': [0x93, 333, 500], '”': [0x94, 333, 500],
+  '–': [0x96, 556, 556], '—': [0x97, 1000, 1000],
+};
+
+function charCode(ch) {
+  if (WIN_ANSI_EXTRA[ch]) return WIN_ANSI_EXTRA[ch][0];
+  const code = ch.codePointAt(0);
+  return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63;
+}
+
+// Latin-1 letters are measured as their unaccented base letter, which is
+// close enough for aligning columns
+function charWidth(ch, bold) {
+  if (WIN_ANSI_EXTRA[ch]) return WIN_ANSI_EXTRA[ch][bold ? 2 : 1];
+  let code = charCode(ch);
+  if (code >= 160) {
+    const base = ch.normalize('NFD').codePointAt(0);
+    code = base >= 32 && base <= 126 ? base : 110; // "n" is a typical width
+  }
+  return (bold ? HELVETICA_BOLD : HELVETICA)[code - 32];
+}
+
+function textWidth(str, size, bold = false) {
+  let units = 0;
+  for (const ch of String(str)) units += charWidth(ch, bold);
+  return (units * size) / 1000;
+}
+
+// Splits text into lines no wider than `width`; long words are broken
+function wrapText(str, width, size, bold = false) {
+  const lines = [];
+  String(str).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      for (const ch of word) {
+        if (line && textWidth(line + ch, size, bold) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += ch;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// A PDF string literal in WinAnsi bytes (as a latin1 JS string)
+function pdfString(str) {
+  let out = '';
+  for (const ch of String(str)) {
+    const byte = String.fromCharCode(charCode(ch));
+    out += byte === '(' || byte === ')' || byte === '\\' ? `\\${byte}` : byte;
+  }
+  return `(${out})`;
+}
+
+const num = n => (Math.round(n * 100) / 100).toString();
+
+function createDocument({ width = 612, height = 792, title = '' } = {}) {
+  const pages = [];
+  let ops = null;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+  }
+
+  // options: { size = 10, bold = false, align = 'left' | 'right', color = [r, g, b] (0-1) }
+  function text(str, x, y, { size = 10, bold = false, align = 'left', color = [0, 0, 0] } = {}) {
+    const left = align === 'right' ? x - textWidth(str, size, bold) : x;
+    ops.push(`BT ${color.map(num).join(' ')} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf `
+      + `${num(left)} ${num(y)} Td ${pdfString(str)} Tj ET`);
+  }
+
+  function line(x1, y1, x2, y2, { width: lineWidth = 0.5, color = [0, 0, 0] } = {}) {
+    ops.push(`${color.map(num).join(' ')} RG ${num(lineWidth)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  }
+
+  function fillRect(x, y, w, h, color) {
+    ops.push(`${color.map(num).join(' ')} rg ${num(x)} ${num(y)} ${num(w)} ${num(h)} re f`);
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its
+  // content stream for each page
+  function render() {
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    objects.push(`<< /Title ${pdfString(title)} /Producer (Remote Work Hub) >>`);
+    pages.forEach((pageOps, i) => {
+      const content = pageOps.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+      objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    // Everything is latin1, so string length is byte length for the offsets
+    let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, i) => {
+      const offset = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => { out += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+    out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+  }
+
+  return { width, height, addPage, text, line, fillRect, render };
+}
+
+module.exports = { createDocument, textWidth, wrapText };
@@ -11,9 +11,13 @@ async function api(path, opts = {}) {
     ...opts,
     body: opts.body ? JSON.stringify(opts.body) : undefined,
   });
+  // Signed out (or the session expired): ask to sign in again
+  if (res.status === 401 && !path.startsWith('/auth/')) showSignIn();
   if (!res.ok) {
     const err = await res.json().catch(() => ({ error: res.statusText }));
-    throw new Error(err.error || 'Request failed');
+    const error = new Error(err.error || 'Request failed');
+    error.fields = err.fields; // per-field messages, where the route gives them
+    throw error;
   }
   return res.json();
 }
@@ -40,277 +44,3180 @@ function navigateTo(viewName) {
   $$('.view').forEach(v => v.classList.remove('active'));
   const target = $(`#view-${viewName}`);
   if (target) target.classList.add('active');
+
+  if (viewName === 'dashboard') loadDashboard();
+  if (viewName === 'team') loadTeam();
+  if (viewName === 'reports') loadInvoices();
+  if (viewName === 'settings') loadCalendarFeed();
+}
+
+$$('.nav-btn').forEach(btn => {
+  btn.addEventListener('click', () => navigateTo(btn.dataset.view));
+});
+
+$('#quick-templates').addEventListener('click', () => navigateTo('templates'));
+$('#quick-team').addEventListener('click', () => navigateTo('team'));
+$('#quick-settings').addEventListener('click', () => navigateTo('settings'));
+
+// --- Theme Toggle ---
+function setTheme(dark) {
+  document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
+  localStorage.setItem('rwp-theme', dark ? 'dark' : 'light');
+  $('#dark-mode-toggle').checked = dark;
+}
+
+$('#theme-toggle').addEventListener('click', () => {
+  const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
+  setTheme(!isDark);
+});
+
+$('#dark-mode-toggle').addEventListener('change', (e) => {
+  setTheme(e.target.checked);
+});
+
+const savedTheme = localStorage.getItem('rwp-theme');
+setTheme(savedTheme !== 'light');
+
+// --- Config Loading ---
+async function loadConfig() {
+  try {
+    config = await api('/config');
+  } catch (e) { /* silent */ }
+}
+
+// --- Hub Cards (Dashboard) ---
+$('#card-handshake').addEventListener('click', () => {
+  if (!config.handshake_url) {
+    toast('Configure Handshake URL in Settings first', 'error');
+    navigateTo('settings');
+    focusSetting('handshake_url');
+    return;
+  }
+  navigateTo('handshake');
+});
+
+$('#card-multimango').addEventListener('click', () => {
+  if (!config.multimango_url) {
+    toast('Configure Multimango URL in Settings first', 'error');
+    navigateTo('settings');
+    focusSetting('multimango_url');
+    return;
+  }
+  navigateTo('multimango');
+});
+
+// --- Handshake Hub ---
+function getHandshakeBase() {
+  try {
+    const url = new URL(config.handshake_url);
+    return url.origin;
+  } catch (e) {
+    return config.handshake_url.replace(/\/+$/, '');
+  }
+}
+
+$('#hs-back').addEventListener('click', () => navigateTo('dashboard'));
+
+$('#hs-open-full').addEventListener('click', () => {
+  window.open(config.handshake_url, '_blank');
+});
+
+$$('.hs-tile').forEach(tile => {
+  tile.addEventListener('click', () => {
+    const path = tile.dataset.hsPath;
+    const base = getHandshakeBase();
+    window.open(base + path, '_blank');
+  });
+});
+
+// --- Multimango Hub ---
+$('#mm-back').addEventListener('click', () => navigateTo('dashboard'));
+
+$('#mm-open-full').addEventListener('click', () => {
+  window.open(config.multimango_url, '_blank');
+});
+
+// --- Dashboard Stats ---
+const STATS_REFRESH_MS = 30000;
+let statsTick = null;
+
+function formatTaskTime(seconds) {
+  const s = Math.round(seconds);
+  return s >= 60 ? `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s` : `${s}s`;
+}
+
+function formatDuration(seconds) {
+  const totalMinutes = Math.floor(Math.max(0, seconds) / 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+async function loadDashboard() {
+  try {
+    const stats = await api('/stats/dashboard');
+    if (stats.error) return;
+    renderDashboard(stats);
+  } catch (e) { /* silent */ }
+}
+
+function renderDashboard({ today, week, streak, level }) {
+  // Goal ring
+  const ratio = today.goal_seconds > 0 ? Math.min(today.seconds / today.goal_seconds, 1) : 0;
+  const fill = $('#goal-ring-fill');
+  const circumference = 2 * Math.PI * fill.r.baseVal.value;
+  fill.style.strokeDasharray = circumference;
+  fill.style.strokeDashoffset = circumference * (1 - ratio);
+  $('#goal-ring').classList.toggle('complete', ratio >= 1);
+  $('#goal-ring-value').textContent = formatDuration(today.seconds);
+  $('#goal-ring-sub').textContent = `of ${today.goal_hours}h goal`;
+
+  $('#stat-sessions').textContent = today.sessions;
+  $('#stat-tasks').textContent = today.tasks;
+  $('#stat-streak').textContent = streak.current;
+  $('#stat-best-streak').textContent = streak.best;
+
+  const pace = today.throughput;
+  $('#stats-pace').classList.toggle('hidden', !pace || pace.avg_seconds_per_task == null);
+  if (pace && pace.avg_seconds_per_task != null) {
+    $('#stats-pace').textContent = `Pace: ${formatTaskTime(pace.avg_seconds_per_task)} avg · `
+      + `${formatTaskTime(pace.median_seconds_per_task)} median`
+      + (pace.tasks_per_hour != null ? ` · ${pace.tasks_per_hour} tasks/h` : '');
+  }
+
+  renderWeekChart(week.days, today.goal_seconds);
+  $('#week-total').textContent = formatDuration(week.total_seconds);
+
+  // Level
+  const { current, next, total_hours, progress } = level;
+  $('#level-badge').textContent = current.level;
+  $('#level-title').textContent = current.title;
+  $('#level-bar-fill').style.width = `${Math.round(Math.min(progress, 1) * 100)}%`;
+  $('#level-next').textContent = next
+    ? `${total_hours}h logged · ${Math.round((next.hours - total_hours) * 10) / 10}h to ${next.title}`
+    : `${total_hours}h logged · Max level`;
+}
+
+function renderWeekChart(days, goalSeconds) {
+  // The server sends all seven days, already bucketed in the user's time zone
+  const slots = days.map(d => ({ day: d.day, seconds: d.total_seconds, focusBlocks: d.focus_blocks }));
+
+  const max = Math.max(goalSeconds, ...slots.map(s => s.seconds), 1);
+  const chart = $('#week-chart');
+  chart.innerHTML = '';
+
+  slots.forEach((slot, i) => {
+    const col = document.createElement('div');
+    col.className = 'week-col' + (i === slots.length - 1 ? ' today' : '');
+    col.title = `${slot.day}: ${formatDuration(slot.seconds)}`
+      + (slot.focusBlocks ? `, ${slot.focusBlocks} focus blocks` : '');
+
+    const track = document.createElement('div');
+    track.className = 'week-bar-track';
+    const bar = document.createElement('div');
+    bar.className = 'week-bar' + (goalSeconds > 0 && slot.seconds >= goalSeconds ? ' goal-met' : '');
+    bar.style.height = `${(slot.seconds / max) * 100}%`;
+    track.appendChild(bar);
+
+    const label = document.createElement('div');
+    label.className = 'week-label';
+    label.textContent = new Date(slot.day + 'T00:00:00Z')
+      .toLocaleDateString(undefined, { weekday: 'narrow', timeZone: 'UTC' });
+
+    col.append(track, label);
+    chart.appendChild(col);
+  });
+}
+
+// Keep the numbers moving while a session is running
+function syncStatsRefresh(running) {
+  clearInterval(statsTick);
+  statsTick = running ? setInterval(loadDashboard, STATS_REFRESH_MS) : null;
+}
+
+// --- Timer ---
+let timerState = { session: null, startedAt: 0, taskType: 'general', projectId: null };
+let timerTick = null;
+
+function formatClock(totalSeconds) {
+  const s = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  return [h, m, sec].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function setActiveSession(session) {
+  if (session && session.id) {
+    // Server sends elapsed seconds so the clock never depends on parsing its UTC timestamps
+    timerState.session = session;
+    timerState.startedAt = Date.now() - (session.elapsed_seconds || 0) * 1000;
+    timerState.taskType = session.task_type;
+    timerState.projectId = session.project_id;
+  } else {
+    timerState.session = null;
+    timerState.startedAt = 0;
+  }
+
+  clearInterval(timerTick);
+  timerTick = timerState.session && !timerState.session.paused ? setInterval(renderTimerClock, 1000) : null;
+  syncStatsRefresh(!!timerState.session);
+  syncFocus();
+  renderTimer();
+  renderBuilderPreview();
+  loadTaskPace();
+}
+
+function renderTimerClock() {
+  const { session } = timerState;
+  let elapsed = 0;
+  if (session) {
+    // A paused clock holds at what the server counted; breaks are not worked time
+    elapsed = session.paused ? session.elapsed_seconds : (Date.now() - timerState.startedAt) / 1000;
+  }
+  $('#timer-clock').textContent = formatClock(elapsed);
+}
+
+function renderTimer() {
+  const { session, taskType, projectId } = timerState;
+  const running = !!session;
+
+  $$('[data-task-type]').forEach(c => {
+    c.classList.toggle('active', c.dataset.taskType === taskType);
+    c.disabled = running;
+  });
+
+  $$('[data-project-id]').forEach(c => {
+    c.classList.toggle('active', (c.dataset.projectId ? Number(c.dataset.projectId) : null) === projectId);
+    c.disabled = running;
+  });
+
+  const typeChip = document.querySelector(`[data-task-type="${taskType}"]`);
+  const typeName = typeChip ? typeChip.textContent : taskType;
+  const paused = running && !!session.paused;
+  const project = running && session.project_name ? ' · ' + session.project_name : '';
+  $('#timer-status').textContent = paused
+    ? `Paused${project}`
+    : running ? `Tracking ${typeName}${project}` : 'Not running';
+  $('#timer-card').classList.toggle('running', running && !paused);
+  $('#timer-card').classList.toggle('paused', paused);
+
+  const pause = $('#timer-pause');
+  pause.classList.toggle('hidden', !running);
+  pause.textContent = paused ? 'Resume' : 'Pause';
+
+  const toggle = $('#timer-toggle');
+  toggle.textContent = running ? 'Stop' : 'Start';
+  toggle.classList.toggle('btn-accent', !running);
+  toggle.classList.toggle('btn-danger', running);
+
+  $('#timer-increment').disabled = !running || paused;
+  $('#timer-count').textContent = running ? session.task_count : 0;
+
+  renderIdleBanner();
+
+  renderTimerClock();
+}
+
+// After anything that counts as a task; a queued (offline) response has no count yet
+function countTask(res) {
+  const { session } = timerState;
+  if (!session) return;
+  session.task_count = res.queued ? session.task_count + 1 : res.task_count;
+  $('#timer-count').textContent = session.task_count;
+}
+
+async function loadActiveSession() {
+  try {
+    const session = await api('/sessions/active');
+    if (session && session.error) return;
+    setActiveSession(session);
+    if (session && session.idle) toast('Your timer may have been left running — check the Timer tab', 'info');
+  } catch (e) { /* silent */ }
+}
+
+async function loadTaskPace() {
+  const { session } = timerState;
+  const pace = $('#timer-pace');
+  if (!session) {
+    pace.textContent = '';
+    return;
+  }
+  try {
+    const tasks = await api(`/sessions/${session.id}/tasks`);
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      pace.textContent = '';
+      return;
+    }
+    const avg = tasks.reduce((sum, t) => sum + t.seconds, 0) / tasks.length;
+    pace.textContent = `Last task ${formatTaskTime(tasks[tasks.length - 1].seconds)} · avg ${formatTaskTime(avg)}`;
+  } catch (e) { /* silent */ }
+}
+
+// --- Idle Detection ---
+const HEARTBEAT_MS = 60000;
+let lastHeartbeat = 0;
+
+function renderIdleBanner() {
+  const { session } = timerState;
+  const idle = session && session.idle;
+  $('#idle-banner').classList.toggle('hidden', !idle);
+  if (!idle) return;
+
+  const since = parseServerTime(idle.last_activity_at)
+    .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  $('#idle-message').textContent = idle.reason === 'max_length'
+    ? `This session has run past your maximum length. Last activity was at ${since}.`
+    : `No activity for ${formatDuration(idle.idle_seconds)} (since ${since}).`;
+  $('#idle-message').textContent += ' Trim it back to then, or keep it running.';
+}
+
+async function sendHeartbeat() {
+  const { session } = timerState;
+  if (!session) return;
+  lastHeartbeat = Date.now();
+  try {
+    const updated = await api(`/sessions/${session.id}/heartbeat`, { method: 'POST' });
+    if (updated && updated.id && timerState.session && timerState.session.id === updated.id) {
+      timerState.session.idle = updated.idle;
+      renderIdleBanner();
+    }
+  } catch (e) { /* silent */ }
+}
+
+// Using the app counts as activity, but only while an un-flagged timer runs
+['pointerdown', 'keydown'].forEach(type => {
+  document.addEventListener(type, () => {
+    const { session } = timerState;
+    if (!session || session.idle || Date.now() - lastHeartbeat < HEARTBEAT_MS) return;
+    sendHeartbeat();
+  }, { passive: true });
+});
+
+$('#idle-keep').addEventListener('click', async () => {
+  await sendHeartbeat();
+  if (timerState.session && timerState.session.idle) {
+    toast('Still over the maximum length — it will be stopped automatically', 'error');
+  }
+});
+
+$('#idle-trim').addEventListener('click', async () => {
+  const { session } = timerState;
+  if (!session) return;
+  try {
+    const trimmed = await api(`/sessions/${session.id}/trim`, { method: 'POST' });
+    setActiveSession(null);
+    toast(trimmed.queued ? 'Trimmed offline' + OFFLINE_NOTE : `Trimmed to ${formatClock(trimmed.duration_seconds)}`, 'success');
+    await refreshAfterSessionChange();
+  } catch (e) {
+    toast('Failed to trim: ' + e.message, 'error');
+    loadActiveSession(); // it may be in use again (another tab), which clears the prompt
+  }
+});
+
+$('#timer-types').addEventListener('click', (e) => {
+  const chip = e.target.closest('[data-task-type]');
+  if (!chip || timerState.session) return;
+  timerState.taskType = chip.dataset.taskType;
+  renderTimer();
+});
+
+$('#timer-toggle').addEventListener('click', async () => {
+  const { session, taskType, projectId } = timerState;
+  try {
+    if (session) {
+      const stopped = await api(`/sessions/${session.id}/stop`, { method: 'POST' });
+      setActiveSession(null);
+      toast(stopped.queued
+        ? `Stopped offline at ${formatClock((Date.now() - timerState.startedAt) / 1000)}${OFFLINE_NOTE}`
+        : `Stopped at ${formatClock(stopped.duration_seconds)}`, 'success');
+    } else {
+      const started = await api('/sessions', {
+        method: 'POST',
+        body: { task_type: taskType, project_id: projectId },
+      });
+      setActiveSession(started.queued ? offlineSession(started) : { ...started, elapsed_seconds: 0 });
+      toast(started.queued ? 'Timer started offline' + OFFLINE_NOTE : 'Timer started', 'success');
+    }
+    loadDashboard();
+    loadRecentSessions();
+    loadFocusToday();
+    renderFocus();
+  } catch (e) {
+    toast('Timer error: ' + e.message, 'error');
+  }
+});
+
+$('#timer-pause').addEventListener('click', async () => {
+  const { session } = timerState;
+  if (!session) return;
+  try {
+    const action = session.paused ? 'resume' : 'pause';
+    const updated = await api(`/sessions/${session.id}/${action}`, { method: 'POST' });
+    setActiveSession(updated.queued ? offlineSession(updated, action === 'pause') : updated);
+    toast(action === 'pause' ? 'Paused — break time is not counted' : 'Resumed', 'info');
+    loadDashboard();
+  } catch (e) {
+    toast('Timer error: ' + e.message, 'error');
+  }
+});
+
+$('#timer-increment').addEventListener('click', async () => {
+  const { session } = timerState;
+  if (!session) return;
+  try {
+    countTask(await api(`/sessions/${session.id}/increment`, { method: 'POST' }));
+    if (navigator.vibrate) navigator.vibrate(15);
+    loadDashboard();
+    loadTaskPace();
+  } catch (e) {
+    toast('Failed to count task: ' + e.message, 'error');
+  }
+});
+
+// Resync after the phone wakes the tab back up
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') {
+    loadActiveSession();
+    loadDashboard();
+  }
+});
+
+// --- Offline Queue ---
+// Without a connection the service worker queues session changes and answers
+// { queued: true, id? }. The timer carries on from local state until the queue
+// has been replayed, then everything is reloaded from the server.
+const OFFLINE_NOTE = ' — will sync when you reconnect';
+
+// Next local state for a queued start (no current session) or pause/resume
+function offlineSession(res, paused = false) {
+  const { session, taskType, projectId } = timerState;
+  if (!session) {
+    const project = projects.find(p => p.id === projectId);
+    return {
+      id: res.id,
+      task_type: taskType,
+      project_id: projectId,
+      project_name: project ? project.name : null,
+      task_count: 0,
+      elapsed_seconds: 0,
+      paused: 0,
+    };
+  }
+  const elapsed = session.paused ? session.elapsed_seconds : (Date.now() - timerState.startedAt) / 1000;
+  return { ...session, elapsed_seconds: elapsed, paused: paused ? 1 : 0, idle: null };
+}
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', e => {
+    const msg = e.data || {};
+    if (msg.type !== 'queue-synced') return;
+    if (msg.replayed) toast(`Synced ${msg.replayed} offline change${msg.replayed === 1 ? '' : 's'}`, 'success');
+    msg.rejected.forEach(r => toast(`Offline change not applied: ${r.error}`, 'error'));
+    // Keep focus mode attached to a timer that was started offline
+    if (focus && msg.ids[focus.sessionId]) {
+      focus.sessionId = msg.ids[focus.sessionId];
+      saveFocus();
+    }
+    refreshAfterSessionChange();
+    loadFocusToday();
+  });
+}
+
+window.addEventListener('online', () => postToWorker({ type: 'queue-replay' }));
+
+// --- Focus Mode ---
+// State lives in localStorage so the countdown survives a reload:
+// { sessionId, workMin, breakMin, phase: 'work' | 'break', phaseStart, phaseEnd, blocks }
+const FOCUS_KEY = 'rwp-focus';
+let focus = JSON.parse(localStorage.getItem(FOCUS_KEY) || 'null');
+let focusTick = null;
+
+function saveFocus() {
+  if (focus) localStorage.setItem(FOCUS_KEY, JSON.stringify(focus));
+  else localStorage.removeItem(FOCUS_KEY);
+}
+
+function postToWorker(msg) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready.then(reg => reg.active && reg.active.postMessage(msg)).catch(() => {});
+}
+
+function scheduleFocusNotification() {
+  const work = focus.phase === 'work';
+  postToWorker({
+    type: 'focus-schedule',
+    at: focus.phaseEnd,
+    title: work ? 'Focus block done' : 'Break over',
+    body: work ? `Take a ${focus.breakMin} minute break.` : `Back to work for ${focus.workMin} minutes.`,
+  });
+}
+
+function beginPhase(phase) {
+  const minutes = phase === 'work' ? focus.workMin : focus.breakMin;
+  focus.phase = phase;
+  focus.phaseStart = Date.now();
+  focus.phaseEnd = focus.phaseStart + minutes * 60000;
+  saveFocus();
+  scheduleFocusNotification();
+  renderFocus();
+}
+
+// Focus breaks pause the session so they stay out of billable time
+async function setSessionPaused(paused) {
+  const { session } = timerState;
+  if (!session || !!session.paused === paused) return;
+  try {
+    const updated = await api(`/sessions/${session.id}/${paused ? 'pause' : 'resume'}`, { method: 'POST' });
+    setActiveSession(updated.queued ? offlineSession(updated, paused) : updated);
+  } catch (e) { /* already in that state */ }
+}
+
+async function recordFocusInterval(completed) {
+  const end = completed ? focus.phaseEnd : Date.now();
+  try {
+    await api(`/sessions/${focus.sessionId}/focus`, {
+      method: 'POST',
+      body: {
+        kind: focus.phase,
+        planned_seconds: (focus.phase === 'work' ? focus.workMin : focus.breakMin) * 60,
+        start_time: new Date(focus.phaseStart).toISOString(),
+        end_time: new Date(Math.min(end, Date.now())).toISOString(),
+        completed,
+      },
+    });
+  } catch (e) { /* the countdown carries on even if one interval fails to save */ }
+}
+
+async function finishPhase(completed) {
+  const wasWork = focus.phase === 'work';
+  await recordFocusInterval(completed);
+  if (!focus) return;
+  if (wasWork && completed) focus.blocks++;
+
+  if (document.visibilityState === 'visible') {
+    toast(wasWork ? 'Focus block done — take a break' : 'Break over — back to it', 'success');
+    if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+  }
+  beginPhase(wasWork ? 'break' : 'work');
+  await setSessionPaused(!wasWork);
+  loadFocusToday();
+}
+
+function renderFocus() {
+  const active = !!focus;
+  $('#focus-setup').classList.toggle('hidden', active);
+  $('#focus-active').classList.toggle('hidden', !active);
+  $('#focus-card').classList.toggle('on-break', active && focus.phase === 'break');
+
+  clearInterval(focusTick);
+  focusTick = null;
+  if (!active) return;
+
+  $('#focus-phase').textContent = focus.phase === 'work' ? 'Focus' : 'Break';
+  $('#focus-blocks').textContent = `${focus.blocks} block${focus.blocks === 1 ? '' : 's'} this session`;
+  $('#focus-skip').textContent = focus.phase === 'work' ? 'Skip to Break' : 'Skip Break';
+  tickFocus();
+  focusTick = setInterval(tickFocus, 1000);
+}
+
+function tickFocus() {
+  if (!focus) return;
+  const remaining = Math.max(0, focus.phaseEnd - Date.now()) / 1000;
+  $('#focus-countdown').textContent = formatClock(remaining).replace(/^00:/, '');
+  if (remaining <= 0) {
+    clearInterval(focusTick);
+    focusTick = null;
+    finishPhase(true);
+  }
+}
+
+function clearFocus() {
+  focus = null;
+  saveFocus();
+  postToWorker({ type: 'focus-cancel' });
+  renderFocus();
+}
+
+// Focus mode belongs to one session; stopping or replacing it ends focus
+function syncFocus() {
+  const { session } = timerState;
+  if (focus && (!session || session.id !== focus.sessionId)) clearFocus();
+}
+
+async function loadFocusToday() {
+  try {
+    const stats = await api('/stats/today');
+    if (stats.error) return;
+    $('#focus-today').textContent = stats.focus_blocks ? `${stats.focus_blocks} today` : '';
+  } catch (e) { /* silent */ }
+}
+
+$('#focus-start').addEventListener('click', async () => {
+  const workMin = parseInt($('#focus-work').value, 10);
+  const breakMin = parseInt($('#focus-break').value, 10);
+  if (!(workMin >= 1 && workMin <= 180) || !(breakMin >= 1 && breakMin <= 60)) {
+    toast('Work 1–180 min, break 1–60 min', 'error');
+    return;
+  }
+  localStorage.setItem('rwp-focus-lengths', JSON.stringify({ workMin, breakMin }));
+
+  if (!timerState.session) {
+    toast('Start the timer first', 'error');
+    return;
+  }
+  if ('Notification' in window && Notification.permission === 'default') {
+    await Notification.requestPermission().catch(() => {});
+  }
+
+  await setSessionPaused(false);
+  focus = { sessionId: timerState.session.id, workMin, breakMin, blocks: 0 };
+  beginPhase('work');
+});
+
+$('#focus-skip').addEventListener('click', () => {
+  if (focus) finishPhase(false);
+});
+
+$('#focus-end').addEventListener('click', async () => {
+  if (!focus) return;
+  const onBreak = focus.phase === 'break';
+  await recordFocusInterval(false);
+  clearFocus();
+  if (onBreak) await setSessionPaused(false);
+  loadFocusToday();
+});
+
+const savedLengths = JSON.parse(localStorage.getItem('rwp-focus-lengths') || 'null');
+if (savedLengths) {
+  $('#focus-work').value = savedLengths.workMin;
+  $('#focus-break').value = savedLengths.breakMin;
+}
+
+// --- Session History & Manual Entry ---
+let editingSession = null;
+
+function toLocalInput(date) {
+  // datetime-local wants local wall time without a zone
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+async function loadRecentSessions() {
+  try {
+    const rows = await api('/sessions?limit=10');
+    if (Array.isArray(rows)) renderSessionList(rows);
+  } catch (e) { /* silent */ }
+}
+
+function renderSessionList(rows) {
+  const list = $('#session-list');
+  list.innerHTML = '';
+  if (rows.length === 0) {
+    list.innerHTML = '<p class="desc">No sessions yet.</p>';
+    return;
+  }
+
+  rows.forEach(sess => {
+    const start = parseServerTime(sess.start_time);
+    const row = document.createElement('button');
+    row.className = 'report-entry session-entry';
+
+    const when = document.createElement('div');
+    when.className = 'report-entry-when';
+    when.textContent = `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} · `
+      + start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const amount = document.createElement('div');
+    amount.className = 'report-entry-amount';
+    amount.textContent = sess.end_time ? formatClock(sess.duration_seconds) : 'Running';
+
+    const what = document.createElement('div');
+    what.className = 'report-entry-what';
+    what.textContent = [
+      sess.project_name,
+      sess.task_type,
+      sess.task_count ? `${sess.task_count} tasks` : '',
+      sess.break_seconds >= 60 ? `${formatDuration(sess.break_seconds)} break` : '',
+      sess.auto_stopped ? 'auto-stopped' : '',
+    ].filter(Boolean).join(' · ');
+
+    row.append(when, amount, what);
+    row.addEventListener('click', () => openSessionSheet(sess));
+    list.appendChild(row);
+  });
+}
+
+function openSessionSheet(sess) {
+  editingSession = sess;
+  const now = new Date();
+  $('#sheet-title').textContent = sess ? 'Edit Session' : 'Add Entry';
+  $('#sheet-start').value = toLocalInput(sess ? parseServerTime(sess.start_time) : new Date(now - 3600000));
+  $('#sheet-end').value = sess
+    ? (sess.end_time ? toLocalInput(parseServerTime(sess.end_time)) : '')
+    : toLocalInput(now);
+  $('#sheet-task-type').value = sess ? sess.task_type : timerState.taskType;
+  $('#sheet-task-count').value = sess ? sess.task_count : 0;
+  $('#sheet-project').value = sess && sess.project_id ? sess.project_id : '';
+  $('#sheet-notes').value = sess ? sess.notes : '';
+  $('#sheet-delete').classList.toggle('hidden', !sess);
+  // Only a new entry or the running session may be left open-ended
+  $('#sheet-end-hint').classList.toggle('hidden', !!(sess && sess.end_time));
+  $('#sheet-copies').classList.toggle('hidden', !sess);
+  $('#sheet-copy-search').value = '';
+  if (sess) loadCopyLog();
+  $('#session-sheet').classList.remove('hidden');
+}
+
+// --- Copy Log ---
+let copySearchTimer = null;
+
+async function loadCopyLog() {
+  if (!editingSession) return;
+  const sessionId = editingSession.id;
+  const q = $('#sheet-copy-search').value.trim();
+  try {
+    const rows = await api(`/sessions/${sessionId}/copies${q ? '?q=' + encodeURIComponent(q) : ''}`);
+    // The sheet may have moved on to another session while this was loading
+    if (!Array.isArray(rows) || !editingSession || editingSession.id !== sessionId) return;
+    renderCopyLog(rows, q);
+  } catch (e) { /* silent */ }
+}
+
+function renderCopyLog(rows, q) {
+  const list = $('#sheet-copy-log');
+  list.innerHTML = '';
+  if (rows.length === 0) {
+    list.innerHTML = `<p class="desc">${q ? 'No copies match.' : 'Nothing was copied from a builder during this session.'}</p>`;
+    return;
+  }
+
+  rows.forEach(c => {
+    const entry = document.createElement('div');
+    entry.className = 'copy-entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'copy-entry-meta';
+    const at = parseServerTime(c.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    meta.textContent = [at, c.builder_name || c.task_type, c.summary].filter(Boolean).join(' · ');
+
+    const text = document.createElement('div');
+    text.className = 'copy-entry-text';
+    text.textContent = c.text;
+
+    entry.append(meta, text);
+    entry.addEventListener('click', () => {
+      navigator.clipboard.writeText(c.text).then(() => toast('Copied again (not logged)', 'success'));
+    });
+    list.appendChild(entry);
+  });
+}
+
+$('#sheet-copy-search').addEventListener('input', () => {
+  clearTimeout(copySearchTimer);
+  copySearchTimer = setTimeout(loadCopyLog, 250);
+});
+
+function closeSessionSheet() {
+  editingSession = null;
+  $('#session-sheet').classList.add('hidden');
+}
+
+async function refreshAfterSessionChange() {
+  await Promise.all([loadRecentSessions(), loadActiveSession(), loadDashboard()]);
+}
+
+$('#add-entry').addEventListener('click', () => openSessionSheet(null));
+$('#sheet-close').addEventListener('click', closeSessionSheet);
+$('#session-sheet').addEventListener('click', (e) => {
+  if (e.target.id === 'session-sheet') closeSessionSheet();
+});
+
+$('#sheet-save').addEventListener('click', async () => {
+  const startVal = $('#sheet-start').value;
+  const endVal = $('#sheet-end').value;
+  if (!startVal) {
+    toast('Start time is required', 'error');
+    return;
+  }
+  if (!endVal && editingSession && editingSession.end_time) {
+    toast('End time is required for a finished session', 'error');
+    return;
+  }
+
+  const body = {
+    start_time: new Date(startVal).toISOString(),
+    task_type: $('#sheet-task-type').value,
+    task_count: Math.max(0, parseInt($('#sheet-task-count').value, 10) || 0),
+    project_id: $('#sheet-project').value ? Number($('#sheet-project').value) : null,
+    notes: $('#sheet-notes').value.trim(),
+  };
+  if (endVal) body.end_time = new Date(endVal).toISOString();
+
+  try {
+    if (editingSession) {
+      await api(`/sessions/${editingSession.id}`, { method: 'PATCH', body });
+    } else {
+      await api('/sessions', { method: 'POST', body });
+    }
+    toast(editingSession ? 'Session updated' : 'Entry added', 'success');
+    closeSessionSheet();
+    await refreshAfterSessionChange();
+  } catch (e) {
+    toast(e.message, 'error');
+  }
+});
+
+$('#sheet-delete').addEventListener('click', async () => {
+  if (!editingSession || !confirm('Delete this session?')) return;
+  try {
+    await api(`/sessions/${editingSession.id}`, { method: 'DELETE' });
+    toast('Session deleted', 'success');
+    closeSessionSheet();
+    await refreshAfterSessionChange();
+  } catch (e) {
+    toast('Failed to delete: ' + e.message, 'error');
+  }
+});
+
+// --- Projects ---
+let projects = [];
+let editingProjectId = null;
+
+async function loadProjects() {
+  try {
+    const rows = await api('/projects');
+    if (!Array.isArray(rows)) return;
+    projects = rows;
+    renderProjectChips();
+    renderProjectList();
+    renderProjectOptions();
+    renderBuilderPreview();
+  } catch (e) { /* silent */ }
+}
+
+function projectDot(color) {
+  const dot = document.createElement('span');
+  dot.className = 'project-dot';
+  dot.style.background = color;
+  return dot;
+}
+
+function renderProjectChips() {
+  const row = $('#timer-projects');
+  row.querySelectorAll('[data-project-id]:not([data-project-id=""])').forEach(c => c.remove());
+
+  projects.forEach(p => {
+    const chip = document.createElement('button');
+    chip.className = 'chip chip-toggle';
+    chip.dataset.projectId = p.id;
+    chip.append(projectDot(p.color), p.name);
+    row.appendChild(chip);
+  });
+
+  renderTimer();
+}
+
+// Delegated, since the project chips are rebuilt whenever the list changes
+$('#timer-projects').addEventListener('click', (e) => {
+  const chip = e.target.closest('[data-project-id]');
+  if (!chip || timerState.session) return;
+  timerState.projectId = chip.dataset.projectId ? Number(chip.dataset.projectId) : null;
+  renderTimer();
+});
+
+function renderProjectList() {
+  const list = $('#project-list');
+  list.innerHTML = '';
+  if (projects.length === 0) {
+    list.innerHTML = '<p class="desc">No projects yet. Add one below to track rates per engagement.</p>';
+    return;
+  }
+
+  projects.forEach(p => {
+    const row = document.createElement('div');
+    row.className = 'project-row';
+
+    const info = document.createElement('div');
+    info.className = 'project-row-info';
+    const name = document.createElement('div');
+    name.className = 'project-row-name';
+    name.append(projectDot(p.color), p.name);
+    const rate = document.createElement('div');
+    rate.className = 'project-row-rate';
+    const wording = [p.locale && languageName(p.locale), p.tone].filter(Boolean);
+    rate.textContent = `$${Number(p.hourly_rate).toFixed(2)}/hr` + (wording.length ? ` · ${wording.join(', ')}` : '');
+    info.append(name, rate);
+
+    const edit = document.createElement('button');
+    edit.className = 'btn btn-ghost btn-small';
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => editProject(p));
+
+    const del = document.createElement('button');
+    del.className = 'btn btn-ghost btn-small';
+    del.textContent = 'Delete';
+    del.addEventListener('click', () => deleteProject(p));
+
+    row.append(info, edit, del);
+    list.appendChild(row);
+  });
+}
+
+function editProject(p) {
+  editingProjectId = p ? p.id : null;
+  $('#project-name').value = p ? p.name : '';
+  $('#project-rate').value = p ? p.hourly_rate : '';
+  $('#project-color').value = p ? p.color : '#f97316';
+  $('#project-min-chars').value = p && p.min_rationale_chars ? p.min_rationale_chars : '';
+  renderProjectWordingOptions(p);
+  $('#project-save').textContent = p ? 'Save Project' : 'Add Project';
+  $('#project-cancel').classList.toggle('hidden', !p);
+  if (p) $('#project-name').focus();
+}
+
+// Any language some builder can write in; builders without it keep their own
+function renderProjectWordingOptions(p) {
+  const locales = [...new Set(builders.flatMap(builderLocales))];
+  fillSelect($('#project-locale'), locales.map(code => [code, languageName(code)]), p ? p.locale : '', 'Builder default');
+  fillSelect($('#project-tone'), TONES.map(tone => [tone, toneName(tone)]), p ? p.tone : '', 'Builder default');
+}
+
+async function deleteProject(p) {
+  if (!confirm(`Delete "${p.name}"? Its sessions are kept without a project.`)) return;
+  try {
+    await api(`/projects/${p.id}`, { method: 'DELETE' });
+    if (timerState.projectId === p.id) timerState.projectId = null;
+    if (editingProjectId === p.id) editProject(null);
+    toast('Project deleted', 'success');
+    await loadProjects();
+  } catch (e) {
+    toast('Failed to delete: ' + e.message, 'error');
+  }
+}
+
+$('#project-save').addEventListener('click', async () => {
+  const body = {
+    name: $('#project-name').value.trim(),
+    hourly_rate: Number($('#project-rate').value) || 0,
+    color: $('#project-color').value,
+    min_rationale_chars: parseInt($('#project-min-chars').value, 10) || 0,
+    locale: $('#project-locale').value,
+    tone: $('#project-tone').value,
+  };
+  if (!body.name) {
+    toast('Project name is required', 'error');
+    return;
+  }
+
+  try {
+    if (editingProjectId) {
+      await api(`/projects/${editingProjectId}`, { method: 'PUT', body });
+    } else {
+      await api('/projects', { method: 'POST', body });
+    }
+    toast(editingProjectId ? 'Project saved' : 'Project added', 'success');
+    editProject(null);
+    await loadProjects();
+  } catch (e) {
+    toast('Failed to save: ' + e.message, 'error');
+  }
+});
+
+$('#project-cancel').addEventListener('click', () => editProject(null));
+
+// --- Reports ---
+function parseServerTime(str) {
+  // SQLite datetime('now') is UTC without a zone suffix
+  return new Date(str.replace(' ', 'T') + 'Z');
+}
+
+function formatMoney(n) {
+  return '$' + Number(n).toFixed(2);
+}
+
+function reportQuery() {
+  const params = new URLSearchParams({
+    from: $('#report-from').value,
+    to: $('#report-to').value,
+  });
+  if ($('#report-project').value) params.set('project_id', $('#report-project').value);
+  if ($('#report-task-type').value) params.set('task_type', $('#report-task-type').value);
+  return params.toString();
+}
+
+function renderProjectOptions() {
+  ['#report-project', '#sheet-project', '#calendar-feed-project'].forEach(sel => {
+    const select = $(sel);
+    const current = select.value;
+    select.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
+    projects.forEach(p => select.add(new Option(p.name, p.id)));
+    select.value = projects.some(p => String(p.id) === current) ? current : '';
+  });
+}
+
+function renderReport({ totals, projects: groups, entries }) {
+  $('#report-hours').textContent = totals.hours.toFixed(2);
+  $('#report-earnings').textContent = formatMoney(totals.earnings);
+  $('#report-sessions').textContent = totals.sessions;
+  $('#report-tasks').textContent = totals.tasks;
+
+  const byProject = $('#report-projects');
+  byProject.innerHTML = '';
+  if (groups.length === 0) {
+    byProject.innerHTML = '<p class="desc">No completed sessions in this range.</p>';
+  }
+  const maxSeconds = Math.max(...groups.map(g => g.seconds), 1);
+  groups.forEach(g => {
+    const row = document.createElement('div');
+    row.className = 'report-project';
+
+    const head = document.createElement('div');
+    head.className = 'report-project-head';
+    const name = document.createElement('span');
+    name.className = 'project-row-name';
+    name.append(projectDot(g.color || 'var(--text-dim)'), g.name);
+    const amount = document.createElement('span');
+    amount.className = 'report-project-amount';
+    amount.textContent = `${g.hours.toFixed(2)}h · ${formatMoney(g.earnings)}`;
+    head.append(name, amount);
+
+    const bar = document.createElement('div');
+    bar.className = 'level-bar';
+    const fill = document.createElement('div');
+    fill.className = 'level-bar-fill';
+    fill.style.width = `${(g.seconds / maxSeconds) * 100}%`;
+    if (g.color) fill.style.background = g.color;
+    bar.appendChild(fill);
+
+    row.append(head, bar);
+    byProject.appendChild(row);
+  });
+
+  const list = $('#report-entries');
+  list.innerHTML = '';
+  entries.forEach(e => {
+    const start = parseServerTime(e.start_time);
+    const end = parseServerTime(e.end_time);
+    const row = document.createElement('div');
+    row.className = 'report-entry';
+
+    const when = document.createElement('div');
+    when.className = 'report-entry-when';
+    when.textContent = `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} · `
+      + `${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–`
+      + `${end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+    const what = document.createElement('div');
+    what.className = 'report-entry-what';
+    what.textContent = [e.project_name, e.task_type, e.task_count ? `${e.task_count} tasks` : '']
+      .filter(Boolean).join(' · ');
+
+    const amount = document.createElement('div');
+    amount.className = 'report-entry-amount';
+    amount.textContent = `${e.hours.toFixed(2)}h`;
+    if (e.earnings > 0) amount.textContent += ` · ${formatMoney(e.earnings)}`;
+
+    row.append(when, amount, what);
+    list.appendChild(row);
+  });
+
+  $('#report-export').href = '/api/reports.csv?' + reportQuery();
+  $('#report-results').classList.remove('hidden');
+}
+
+$('#report-generate').addEventListener('click', async () => {
+  try {
+    const report = await api('/reports?' + reportQuery());
+    if (report.error) throw new Error(report.error);
+    renderReport(report);
+  } catch (e) {
+    toast('Report failed: ' + e.message, 'error');
+  }
+});
+
+// Default to the last seven days
+function localISODate(date) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+const reportEnd = new Date();
+const reportStart = new Date();
+reportStart.setDate(reportStart.getDate() - 6);
+$('#report-to').value = localISODate(reportEnd);
+$('#report-from').value = localISODate(reportStart);
+$('#team-to').value = localISODate(reportEnd);
+$('#team-from').value = localISODate(reportStart);
+
+// --- Invoices ---
+// Built on the server from the report range and filters. The preview is a dry
+// run; changing a line's unit, rate or wording runs it again with that override.
+let invoiceOverrides = {};
+
+function invoiceMoney(n, currency) {
+  return currency + Number(n).toFixed(2);
+}
+
+function invoiceDay(day) {
+  return new Date(day + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function invoiceBody() {
+  const body = {
+    from: $('#report-from').value,
+    to: $('#report-to').value,
+    client: $('#invoice-client').value,
+    lines: invoiceOverrides,
+  };
+  if ($('#report-project').value) body.project_id = Number($('#report-project').value);
+  if ($('#report-task-type').value) body.task_type = $('#report-task-type').value;
+  return body;
+}
+
+function closeInvoiceDraft() {
+  invoiceOverrides = {};
+  $('#invoice-draft').classList.add('hidden');
+  $('#invoice-draft-lines').innerHTML = '';
+}
+
+function invoiceLineEditor(line, currency) {
+  const row = document.createElement('div');
+  row.className = 'report-project invoice-line';
+  const override = patch => {
+    invoiceOverrides[line.key] = { ...invoiceOverrides[line.key], ...patch };
+    previewInvoice();
+  };
+
+  const description = document.createElement('input');
+  description.className = 'form-input';
+  description.value = line.description;
+  description.maxLength = 200;
+  description.addEventListener('change', () => {
+    if (description.value.trim()) override({ description: description.value.trim() });
+  });
+
+  const unit = document.createElement('select');
+  unit.className = 'form-input';
+  unit.add(new Option('Per hour', 'hours'));
+  unit.add(new Option('Per task', 'tasks'));
+  unit.value = line.unit;
+  // A new unit starts from that unit's default rate
+  unit.addEventListener('change', () => override({ unit: unit.value, rate: undefined }));
+
+  const rate = document.createElement('input');
+  rate.className = 'form-input';
+  rate.type = 'number';
+  rate.min = 0;
+  rate.step = 0.01;
+  rate.value = line.rate;
+  rate.setAttribute('aria-label', 'Rate');
+  rate.addEventListener('change', () => {
+    if (Number(rate.value) >= 0) override({ rate: Number(rate.value) });
+  });
+
+  const fields = document.createElement('div');
+  fields.className = 'form-row';
+  fields.append(unit, rate);
+
+  const amount = document.createElement('div');
+  amount.className = 'report-project-amount';
+  amount.textContent = `${line.unit === 'hours' ? line.quantity.toFixed(2) : line.quantity} ${line.unit} · `
+    + invoiceMoney(line.amount, currency);
+
+  row.append(description, fields, amount);
+  return row;
+}
+
+function renderInvoiceDraft(draft) {
+  const tax = draft.tax_rate ? ` + ${draft.tax_label} ${invoiceMoney(draft.tax, draft.currency)}` : '';
+  $('#invoice-draft-summary').textContent = `${draft.number}: ${draft.session_count} session${draft.session_count === 1 ? '' : 's'}, `
+    + `${invoiceMoney(draft.subtotal, draft.currency)}${tax} = ${invoiceMoney(draft.total, draft.currency)}. `
+    + `Due ${invoiceDay(draft.due_on)}.`;
+  const list = $('#invoice-draft-lines');
+  list.innerHTML = '';
+  draft.lines.forEach(l => list.appendChild(invoiceLineEditor(l, draft.currency)));
+  $('#invoice-draft').classList.remove('hidden');
+}
+
+async function previewInvoice() {
+  try {
+    const draft = await api('/invoices?dry_run=1', { method: 'POST', body: invoiceBody() });
+    if (draft.error) throw new Error(draft.error);
+    renderInvoiceDraft(draft);
+  } catch (err) {
+    closeInvoiceDraft();
+    toast('Invoice preview failed: ' + err.message, 'error');
+  }
+}
+
+$('#invoice-preview').addEventListener('click', () => {
+  invoiceOverrides = {};
+  previewInvoice();
+});
+
+$('#invoice-cancel').addEventListener('click', closeInvoiceDraft);
+
+$('#invoice-create').addEventListener('click', async () => {
+  try {
+    const invoice = await api('/invoices', { method: 'POST', body: invoiceBody() });
+    if (invoice.error) throw new Error(invoice.error);
+    closeInvoiceDraft();
+    toast(`Invoice ${invoice.number} created`, 'success');
+    loadInvoices();
+  } catch (err) {
+    toast('Could not create invoice: ' + err.message, 'error');
+  }
+});
+
+async function setInvoiceStatus(invoice, select) {
+  if (select.value === 'void' && !confirm(`Void ${invoice.number}? Its sessions can be invoiced again, and this can't be undone.`)) {
+    select.value = invoice.status;
+    return;
+  }
+  try {
+    const result = await api(`/invoices/${invoice.id}`, { method: 'PATCH', body: { status: select.value } });
+    if (result.error) throw new Error(result.error);
+    loadInvoices();
+  } catch (err) {
+    select.value = invoice.status;
+    toast('Could not update invoice: ' + err.message, 'error');
+  }
+}
+
+function invoiceLink(label, href) {
+  const link = document.createElement('a');
+  link.className = 'btn btn-ghost btn-small';
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = label;
+  return link;
+}
+
+function renderInvoices(invoices) {
+  const list = $('#invoice-list');
+  list.innerHTML = '';
+  invoices.forEach(inv => {
+    const row = document.createElement('div');
+    row.className = 'project-row';
+
+    const info = document.createElement('div');
+    info.className = 'project-row-info';
+    const name = document.createElement('div');
+    name.className = 'project-row-name';
+    name.textContent = [inv.number, inv.client.split('\n')[0]].filter(Boolean).join(' · ');
+    const detail = document.createElement('div');
+    detail.className = 'project-row-rate';
+    detail.textContent = `${invoiceMoney(inv.total, inv.currency)} · issued ${invoiceDay(inv.issued_on)} · due ${invoiceDay(inv.due_on)}`;
+    info.append(name, detail);
+    row.appendChild(info);
+
+    if (inv.status === 'void') {
+      const status = document.createElement('div');
+      status.className = 'project-row-rate';
+      status.textContent = 'Void';
+      row.appendChild(status);
+    } else {
+      const status = document.createElement('select');
+      status.className = 'form-input team-role';
+      status.add(new Option('Issued', 'issued'));
+      status.add(new Option('Paid', 'paid'));
+      status.add(new Option('Void', 'void'));
+      status.value = inv.status;
+      status.addEventListener('change', () => setInvoiceStatus(inv, status));
+      row.appendChild(status);
+    }
+    row.append(invoiceLink('Print', `/api/invoices/${inv.id}/html`), invoiceLink('PDF', `/api/invoices/${inv.id}/pdf`));
+    list.appendChild(row);
+  });
+}
+
+async function loadInvoices() {
+  if (!$('#invoice-client').value && userSettings.invoice_client) $('#invoice-client').value = userSettings.invoice_client;
+  try {
+    const invoices = await api('/invoices');
+    if (!invoices.error) renderInvoices(invoices);
+  } catch (e) { /* offline: keep the last list */ }
+}
+
+// --- Team ---
+// Workspaces the user belongs to; managers also get the rollup and can invite
+// members. An invitation shares nothing until it's accepted here. Everyone's
+// own data stays in their own views.
+let workspaces = [];
+let activeWorkspaceId = null;
+
+function activeWorkspace() {
+  return workspaces.find(w => w.id === activeWorkspaceId) || null;
+}
+
+async function loadTeam() {
+  loadInvitations();
+  try {
+    const rows = await api('/workspaces');
+    if (!Array.isArray(rows)) return;
+    workspaces = rows;
+  } catch (e) {
+    return;
+  }
+  if (!activeWorkspace()) activeWorkspaceId = workspaces.length ? workspaces[0].id : null;
+
+  const select = $('#team-workspace');
+  select.innerHTML = '';
+  workspaces.forEach(w => select.add(new Option(`${w.name} (${w.role})`, w.id)));
+  select.value = activeWorkspaceId || '';
+  $('#team-workspace-group').classList.toggle('hidden', workspaces.length === 0);
+  $('#team-empty').classList.toggle('hidden', workspaces.length > 0);
+  renderWorkspace();
+}
+
+async function loadInvitations() {
+  let invitations;
+  try {
+    invitations = await api('/workspaces/invitations');
+    if (!Array.isArray(invitations)) return;
+  } catch (e) {
+    return;
+  }
+  $('#team-invites-section').classList.toggle('hidden', invitations.length === 0);
+  const list = $('#team-invite-list');
+  list.innerHTML = '';
+  invitations.forEach(inv => {
+    const row = document.createElement('div');
+    row.className = 'project-row';
+
+    const info = document.createElement('div');
+    info.className = 'project-row-info';
+    const name = document.createElement('div');
+    name.className = 'project-row-name';
+    name.textContent = inv.name;
+    const detail = document.createElement('div');
+    detail.className = 'project-row-rate';
+    detail.textContent = (inv.role === 'manager' ? 'Manager' : 'Member')
+      + (inv.invited_by ? ` · invited by ${inv.invited_by}` : '');
+    info.append(name, detail);
+
+    const accept = document.createElement('button');
+    accept.className = 'btn btn-accent btn-small';
+    accept.textContent = 'Join';
+    accept.addEventListener('click', () => answerInvitation(inv, true));
+    const decline = document.createElement('button');
+    decline.className = 'btn btn-ghost btn-small';
+    decline.textContent = 'Decline';
+    decline.addEventListener('click', () => answerInvitation(inv, false));
+    row.append(info, accept, decline);
+    list.appendChild(row);
+  });
+}
+
+async function answerInvitation(invitation, accept) {
+  try {
+    await api(`/workspaces/${invitation.id}/${accept ? 'accept' : 'decline'}`, { method: 'POST' });
+    if (accept) activeWorkspaceId = invitation.id;
+    toast(accept ? `Joined ${invitation.name}` : 'Invitation declined', 'success');
+    await loadTeam();
+  } catch (e) {
+    toast('Failed: ' + e.message, 'error');
+  }
+}
+
+async function renderWorkspace() {
+  const workspace = activeWorkspace();
+  const manager = !!workspace && workspace.role === 'manager';
+  $('#team-manager').classList.toggle('hidden', !manager);
+  $('#team-results').classList.add('hidden');
+  $('#team-members-section').classList.toggle('hidden', !workspace);
+  $('#team-add-form').classList.toggle('hidden', !manager);
+  $('#team-leave').textContent = manager ? 'Delete Workspace' : 'Leave Workspace';
+  if (!workspace) return;
+
+  try {
+    renderTeamMembers(await api(`/workspaces/${workspace.id}/members`));
+  } catch (e) {
+    toast('Failed to load members: ' + e.message, 'error');
+  }
+}
+
+function renderTeamMembers(members) {
+  const workspace = activeWorkspace();
+  const manager = workspace.role === 'manager';
+  const list = $('#team-member-list');
+  list.innerHTML = '';
+  members.forEach(m => {
+    const row = document.createElement('div');
+    row.className = 'project-row';
+
+    const info = document.createElement('div');
+    info.className = 'project-row-info';
+    const name = document.createElement('div');
+    name.className = 'project-row-name';
+    name.textContent = m.username + (auth.user && m.user_id === auth.user.id ? ' (you)' : '')
+      + (m.status === 'invited' ? ' (invited)' : '');
+    info.appendChild(name);
+    row.appendChild(info);
+
+    if (manager) {
+      const role = document.createElement('select');
+      role.className = 'form-input team-role';
+      role.add(new Option('Member', 'member'));
+      role.add(new Option('Manager', 'manager'));
+      role.value = m.role;
+      role.addEventListener('change', () => setMemberRole(m, role));
+
+      const remove = document.createElement('button');
+      remove.className = 'btn btn-ghost btn-small';
+      remove.textContent = m.status === 'invited' ? 'Cancel' : 'Remove';
+      remove.addEventListener('click', () => removeMember(m));
+      row.append(role, remove);
+    } else {
+      const role = document.createElement('div');
+      role.className = 'project-row-rate';
+      role.textContent = m.role === 'manager' ? 'Manager' : 'Member';
+      info.appendChild(role);
+    }
+    list.appendChild(row);
+  });
+}
+
+async function setMemberRole(member, select) {
+  try {
+    renderTeamMembers(await api(`/workspaces/${activeWorkspaceId}/members/${member.user_id}`, {
+      method: 'PUT',
+      body: { role: select.value },
+    }));
+    toast(`${member.username} is now a ${select.value}`, 'success');
+    // Stepping down yourself takes away the manager tools
+    if (auth.user && member.user_id === auth.user.id) loadTeam();
+  } catch (e) {
+    select.value = member.role;
+    toast('Failed to change role: ' + e.message, 'error');
+  }
+}
+
+async function removeMember(member) {
+  const invited = member.status === 'invited';
+  const question = invited
+    ? `Cancel ${member.username}'s invitation to ${activeWorkspace().name}?`
+    : `Remove ${member.username} from ${activeWorkspace().name}? Their own data is not touched.`;
+  if (!confirm(question)) return;
+  try {
+    await api(`/workspaces/${activeWorkspaceId}/members/${member.user_id}`, { method: 'DELETE' });
+    toast(invited ? 'Invitation cancelled' : `${member.username} removed`, 'success');
+    if (auth.user && member.user_id === auth.user.id) loadTeam();
+    else renderWorkspace();
+  } catch (e) {
+    toast('Failed to remove: ' + e.message, 'error');
+  }
+}
+
+$('#team-workspace').addEventListener('change', (e) => {
+  activeWorkspaceId = Number(e.target.value);
+  renderWorkspace();
+});
+
+$('#team-create').addEventListener('click', async () => {
+  const name = $('#team-new-name').value.trim();
+  if (!name) {
+    toast('Workspace name is required', 'error');
+    return;
+  }
+  try {
+    const created = await api('/workspaces', { method: 'POST', body: { name } });
+    $('#team-new-name').value = '';
+    activeWorkspaceId = created.id;
+    toast('Workspace created — invite your team below', 'success');
+    await loadTeam();
+  } catch (e) {
+    toast('Failed to create: ' + e.message, 'error');
+  }
+});
+
+$('#team-add').addEventListener('click', async () => {
+  const username = $('#team-add-username').value.trim();
+  if (!username) {
+    toast('Enter the username they signed up with', 'error');
+    return;
+  }
+  try {
+    renderTeamMembers(await api(`/workspaces/${activeWorkspaceId}/members`, {
+      method: 'POST',
+      body: { username, role: $('#team-add-role').value },
+    }));
+    $('#team-add-username').value = '';
+    toast(`Invited ${username} — they join once they accept`, 'success');
+  } catch (e) {
+    toast('Failed to invite: ' + e.message, 'error');
+  }
+});
+
+$('#team-leave').addEventListener('click', async () => {
+  const workspace = activeWorkspace();
+  if (!workspace || !auth.user) return;
+  const manager = workspace.role === 'manager';
+  const question = manager
+    ? `Delete ${workspace.name}? Members keep their own data; only the workspace goes.`
+    : `Leave ${workspace.name}? Its managers will no longer see your hours.`;
+  if (!confirm(question)) return;
+  try {
+    await api(manager ? `/workspaces/${workspace.id}` : `/workspaces/${workspace.id}/members/${auth.user.id}`, { method: 'DELETE' });
+    activeWorkspaceId = null;
+    toast(manager ? 'Workspace deleted' : 'Left workspace', 'success');
+    await loadTeam();
+  } catch (e) {
+    toast('Failed: ' + e.message, 'error');
+  }
+});
+
+function teamRow(label, summary, maxSeconds, detail) {
+  const row = document.createElement('div');
+  row.className = 'report-project';
+
+  const head = document.createElement('div');
+  head.className = 'report-project-head';
+  const name = document.createElement('span');
+  name.className = 'project-row-name';
+  name.textContent = label;
+  const amount = document.createElement('span');
+  amount.className = 'report-project-amount';
+  amount.textContent = `${summary.hours.toFixed(2)}h · ${summary.tasks} tasks`
+    + (summary.tasks_per_hour !== null ? ` · ${summary.tasks_per_hour}/hr` : '');
+  head.append(name, amount);
+
+  const bar = document.createElement('div');
+  bar.className = 'level-bar';
+  const fill = document.createElement('div');
+  fill.className = 'level-bar-fill';
+  fill.style.width = `${(summary.seconds / maxSeconds) * 100}%`;
+  bar.appendChild(fill);
+  row.append(head, bar);
+
+  if (detail) {
+    const what = document.createElement('div');
+    what.className = 'report-entry-what team-detail';
+    what.textContent = detail;
+    row.appendChild(what);
+  }
+  return row;
+}
+
+function renderTeamStats({ totals, members, task_types: types }) {
+  $('#team-hours').textContent = totals.hours.toFixed(2);
+  $('#team-tasks').textContent = totals.tasks;
+  $('#team-rate').textContent = totals.tasks_per_hour !== null ? totals.tasks_per_hour : '–';
+  $('#team-active').textContent = `${members.filter(m => m.sessions > 0).length}/${members.length}`;
+
+  const maxSeconds = Math.max(...members.map(m => m.seconds), 1);
+  const byMember = $('#team-by-member');
+  byMember.innerHTML = '';
+  members.forEach(m => {
+    const detail = m.task_types.length
+      ? m.task_types.map(t => `${t.task_type} ${t.hours.toFixed(2)}h`).join(' · ')
+      : 'No completed sessions in this range';
+    byMember.appendChild(teamRow(m.username, m, maxSeconds, detail));
+  });
+
+  const byType = $('#team-by-type');
+  byType.innerHTML = '';
+  if (types.length === 0) byType.innerHTML = '<p class="desc">No completed sessions in this range.</p>';
+  const maxTypeSeconds = Math.max(...types.map(t => t.seconds), 1);
+  types.forEach(t => byType.appendChild(teamRow(t.task_type, t, maxTypeSeconds)));
+
+  $('#team-results').classList.remove('hidden');
+}
+
+$('#team-generate').addEventListener('click', async () => {
+  const params = new URLSearchParams({
+    workspace_id: activeWorkspaceId,
+    from: $('#team-from').value,
+    to: $('#team-to').value,
+  });
+  try {
+    renderTeamStats(await api('/team/stats?' + params));
+  } catch (e) {
+    toast('Rollup failed: ' + e.message, 'error');
+  }
+});
+
+// --- Settings ---
+// The server declares every setting (settings.js): type, default, range and
+// label. Each group there becomes a section here with an input per setting;
+// the time zone and shortcuts have their own controls further down.
+let settingsSchema = null;
+let userSettings = {};
+
+// What else to refresh once a group is saved
+const SETTING_GROUP_EFFECTS = {
+  goals: () => loadDashboard(),
+  idle: () => loadActiveSession(),
+};
+
+async function loadSettings() {
+  try {
+    if (!settingsSchema) settingsSchema = await api('/settings/schema');
+    const settings = await api('/settings');
+    if (settings.error || settingsSchema.error) return;
+    userSettings = settings;
+  } catch (e) {
+    return;
+  }
+  renderSettingsForm();
+  applySettings();
+  await syncTimeZone(userSettings.timezone);
+}
+
+// Hands saved values to the parts of the page that use them
+function applySettings() {
+  config.handshake_url = userSettings.handshake_url;
+  config.multimango_url = userSettings.multimango_url;
+  rationaleRules = {
+    banned: parsePhrases(userSettings.banned_phrases),
+    strict: userSettings.rationale_strict,
+  };
+  renderBuilderPreview();
+}
+
+function settingInput(key) {
+  return $(`#settings-fields [data-setting="${key}"]`);
+}
+
+function focusSetting(key) {
+  const input = settingInput(key);
+  if (input) input.focus();
+}
+
+function settingField(def) {
+  const value = userSettings[def.key];
+  const wrap = document.createElement('div');
+  let input;
+
+  if (def.type === 'boolean') {
+    wrap.className = 'setting-row';
+    const label = document.createElement('span');
+    label.textContent = def.label;
+    const toggle = document.createElement('label');
+    toggle.className = 'switch';
+    input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = !!value;
+    const slider = document.createElement('span');
+    slider.className = 'slider';
+    toggle.append(input, slider);
+    wrap.append(label, toggle);
+  } else {
+    wrap.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = def.label;
+    if (def.multiline) {
+      input = document.createElement('textarea');
+      input.className = 'notes-input';
+      input.rows = 3;
+    } else {
+      input = document.createElement('input');
+      input.className = 'form-input';
+      input.type = def.type === 'number' ? 'number' : def.type === 'url' ? 'url' : 'text';
+      if (def.type === 'number') {
+        ['min', 'max', 'step'].forEach(attr => { if (def[attr] !== undefined) input[attr] = def[attr]; });
+        input.placeholder = def.default;
+      }
+    }
+    if (def.placeholder) input.placeholder = def.placeholder;
+    input.value = value === null || value === undefined ? '' : value;
+    input.id = `setting-${def.key}`;
+    label.htmlFor = input.id;
+    wrap.append(label, input);
+  }
+
+  input.dataset.setting = def.key;
+  const hint = document.createElement('p');
+  hint.className = 'form-hint error hidden';
+  hint.dataset.settingError = def.key;
+  wrap.appendChild(hint);
+  return wrap;
+}
+
+function settingValue(def) {
+  const input = settingInput(def.key);
+  return def.type === 'boolean' ? input.checked : input.value.trim();
+}
+
+function renderSettingsForm() {
+  const container = $('#settings-fields');
+  container.innerHTML = '';
+  settingsSchema.groups.forEach(group => {
+    const defs = settingsSchema.settings.filter(d => d.group === group.id);
+    if (defs.length === 0) return;
+
+    const section = document.createElement('section');
+    section.className = 'section';
+    const title = document.createElement('h2');
+    title.textContent = group.title;
+    section.appendChild(title);
+    if (group.description) {
+      const desc = document.createElement('p');
+      desc.className = 'desc';
+      desc.textContent = group.description;
+      section.appendChild(desc);
+    }
+
+    // Numbers sit side by side, like the other short fields in Settings
+    const form = document.createElement('div');
+    form.className = 'settings-form';
+    let row = null;
+    defs.forEach(def => {
+      const field = settingField(def);
+      if (def.type !== 'number') {
+        row = null;
+        form.appendChild(field);
+        return;
+      }
+      if (!row || row.children.length === 2) {
+        row = document.createElement('div');
+        row.className = 'form-row';
+        form.appendChild(row);
+      }
+      row.appendChild(field);
+    });
+
+    const save = document.createElement('button');
+    save.className = 'btn btn-accent btn-full';
+    save.textContent = `Save ${group.title}`;
+    save.addEventListener('click', () => saveSettingGroup(group, defs));
+    form.appendChild(save);
+    section.appendChild(form);
+    container.appendChild(section);
+  });
+}
+
+async function saveSettingGroup(group, defs) {
+  const body = {};
+  defs.forEach(def => { body[def.key] = settingValue(def); });
+  defs.forEach(def => $(`[data-setting-error="${def.key}"]`).classList.add('hidden'));
+
+  try {
+    const saved = await api('/settings', { method: 'PUT', body });
+    if (saved.error) throw new Error(saved.error);
+    userSettings = saved;
+    toast(`${group.title} saved`, 'success');
+    renderSettingsForm();
+    applySettings();
+    if (SETTING_GROUP_EFFECTS[group.id]) SETTING_GROUP_EFFECTS[group.id]();
+  } catch (e) {
+    Object.entries(e.fields || {}).forEach(([key, message]) => {
+      const hint = $(`[data-setting-error="${key}"]`);
+      if (!hint) return;
+      hint.textContent = message;
+      hint.classList.remove('hidden');
+    });
+    toast('Failed to save: ' + e.message, 'error');
+  }
+}
+
+// --- Account ---
+// /auth/me is public and says how this server signs people in: accounts
+// (username + password, sign-ups open, by code or closed) or one shared token.
+let auth = { mode: 'accounts', signup: 'closed', user: null };
+let authRegistering = false;
+
+async function loadAccount() {
+  let me = null;
+  try {
+    me = await api('/auth/me');
+  } catch (e) { /* handled below */ }
+  // Offline (the worker answers { error: 'offline' }): open on what the page has and
+  // let the queue hold changes until the server can say who is signed in
+  if (!me || me.error) return true;
+  auth = me;
+  if (!auth.user) {
+    showSignIn();
+    return false;
+  }
+  renderAccount();
+  return true;
+}
+
+function showSignIn() {
+  const token = auth.mode === 'token';
+  const registering = !token && authRegistering;
+  $('#auth-username-group').classList.toggle('hidden', token);
+  $('#auth-password-group').classList.toggle('hidden', token);
+  $('#auth-token-group').classList.toggle('hidden', !token);
+  $('#auth-code-group').classList.toggle('hidden', !(registering && auth.signup === 'code'));
+  $('#auth-password').autocomplete = registering ? 'new-password' : 'current-password';
+  $('#auth-submit').textContent = registering ? 'Create Account' : 'Sign In';
+  $('#auth-switch').textContent = registering ? 'I already have an account' : 'Create an account';
+  $('#auth-switch').classList.toggle('hidden', token || auth.signup === 'closed');
+  $('#auth-desc').textContent = token
+    ? 'This server uses a shared access token.'
+    : registering && auth.signup === 'open'
+      ? 'No accounts yet. The first one keeps the data already recorded here.'
+      : registering ? 'Ask whoever runs this server for the sign-up code.' : 'Sign in to your timesheet.';
+  $('#auth-screen').classList.remove('hidden');
+}
+
+$('#auth-switch').addEventListener('click', () => {
+  authRegistering = !authRegistering;
+  showSignIn();
+});
+
+$('#auth-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const registering = auth.mode !== 'token' && authRegistering;
+  const body = auth.mode === 'token'
+    ? { token: $('#auth-token').value }
+    : { username: $('#auth-username').value.trim(), password: $('#auth-password').value, code: $('#auth-code').value.trim() };
+  try {
+    await api(registering ? '/auth/register' : '/auth/login', { method: 'POST', body });
+    // Start clean so nothing from a previous account lingers in the page
+    location.reload();
+  } catch (err) {
+    toast(err.message, 'error');
+  }
+});
+
+function renderAccount() {
+  const token = auth.mode === 'token';
+  $('#account-desc').textContent = token
+    ? 'Signed in with the shared access token.'
+    : `Signed in as ${auth.user.username}.`;
+  $('#account-password-form').classList.toggle('hidden', token);
+  $('#account-password-save').classList.toggle('hidden', token);
+  // Builders are shared; the server only lets admins change them
+  $('.builder-actions').classList.toggle('hidden', !auth.user.admin);
+}
+
+$('#account-logout').addEventListener('click', async () => {
+  try {
+    await api('/auth/logout', { method: 'POST' });
+  } catch (e) { /* the cookie is cleared either way on the next sign-in */ }
+  location.reload();
+});
+
+$('#account-password-save').addEventListener('click', async () => {
+  const body = { current: $('#account-current').value, password: $('#account-new').value };
+  try {
+    await api('/auth/password', { method: 'PUT', body });
+    $('#account-current').value = '';
+    $('#account-new').value = '';
+    toast('Password changed — other devices are signed out', 'success');
+  } catch (e) {
+    toast('Failed to change password: ' + e.message, 'error');
+  }
+});
+
+// --- Time Zone ---
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+if (Intl.supportedValuesOf) {
+  Intl.supportedValuesOf('timeZone').forEach(tz => $('#timezone-list').appendChild(new Option(tz)));
+}
+
+// Stats group days by this zone; adopt the device's zone until the user picks one
+async function syncTimeZone(saved) {
+  $('#setting-timezone').value = saved || browserTimeZone || '';
+  if (saved || !browserTimeZone) return;
+  try {
+    await api('/settings', { method: 'PUT', body: { timezone: browserTimeZone } });
+    loadDashboard();
+  } catch (e) { /* silent */ }
+}
+
+$('#save-timezone').addEventListener('click', async () => {
+  const timezone = $('#setting-timezone').value.trim();
+  try {
+    await api('/settings', { method: 'PUT', body: { timezone } });
+    toast('Time zone saved', 'success');
+    loadDashboard();
+    loadFocusToday();
+  } catch (e) {
+    toast('Failed to save: ' + e.message, 'error');
+  }
+});
+
+$('#use-device-timezone').addEventListener('click', () => {
+  $('#setting-timezone').value = browserTimeZone;
+});
+
+// --- Backup & Restore ---
+$('#export-data').addEventListener('click', () => {
+  // The server names the file; a link keeps the download out of memory here
+  const link = document.createElement('a');
+  link.href = '/api/export';
+  link.download = '';
+  link.click();
+});
+
+$('#import-data').addEventListener('click', () => $('#import-file').click());
+
+function describeImport(summary) {
+  const kinds = ['sessions', 'projects', 'templates', 'builders', 'settings'];
+  const added = kinds.map(k => `${summary[k].added} ${k}`).join(', ');
+  const skipped = kinds.reduce((sum, k) => sum + summary[k].skipped, 0);
+  const notes = [
+    skipped && `${skipped} already here`,
+    summary.sessions.conflict && `${summary.sessions.conflict} overlapping sessions left out`,
+  ].filter(Boolean);
+  return notes.length ? `${added} (${notes.join(', ')})` : added;
+}
+
+$('#import-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (err) {
+    toast('That file is not an export (not JSON)', 'error');
+    return;
+  }
+
+  try {
+    // Dry run first: the server reports exactly what the import would add
+    const preview = await api('/import?dry_run=1', { method: 'POST', body: bundle });
+    if (preview.error) throw new Error(preview.error);
+    if (!confirm(`Import ${describeImport(preview)}?`)) return;
+
+    const result = await api('/import', { method: 'POST', body: bundle });
+    toast(`Imported ${describeImport(result)}`, 'success');
+    loadProjects();
+    loadActiveSession();
+    loadDashboard();
+    loadRecentSessions();
+    loadBuilders();
+    loadSettings();
+    loadShortcuts();
+  } catch (err) {
+    toast('Import failed: ' + err.message, 'error');
+  }
+});
+
+// --- Session Import ---
+// Toggl / Clockify CSV or .ics: the server previews (dry run) and the user
+// confirms before anything is written.
+let pendingSessionImport = null;
+
+const IMPORT_FORMATS = { toggl: 'Toggl CSV', clockify: 'Clockify CSV', ics: 'Calendar' };
+
+$('#session-import-choose').addEventListener('click', () => $('#session-import-file').click());
+
+function closeSessionImport() {
+  pendingSessionImport = null;
+  $('#session-import-preview').classList.add('hidden');
+  $('#session-import-entries').innerHTML = '';
+}
+
+$('#session-import-cancel').addEventListener('click', closeSessionImport);
+
+function importEntryRow(e) {
+  const row = document.createElement('div');
+  row.className = 'report-entry';
+
+  const when = document.createElement('div');
+  when.className = 'report-entry-when';
+  if (e.start_time) {
+    const start = parseServerTime(e.start_time);
+    const end = parseServerTime(e.end_time);
+    when.textContent = `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })} · `
+      + `${start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–`
+      + `${end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  } else {
+    when.textContent = e.ref;
+  }
+
+  const status = document.createElement('div');
+  status.className = 'report-entry-amount';
+  if (e.status === 'new') status.textContent = 'New';
+  else if (e.status === 'invalid') status.textContent = 'Skipped';
+  else status.textContent = e.conflict.ref ? `Overlaps ${e.conflict.ref}` : `Overlaps #${e.conflict.session.id}`;
+
+  const what = document.createElement('div');
+  what.className = 'report-entry-what';
+  what.textContent = e.status === 'invalid' ? e.error : [e.task_type, e.notes || e.ref].join(' · ');
+
+  row.append(when, status, what);
+  return row;
+}
+
+function renderSessionImport(preview) {
+  const { counts } = preview;
+  $('#session-import-summary').textContent = `${IMPORT_FORMATS[preview.format]} in ${preview.time_zone}: `
+    + `${counts.new} new, ${counts.conflict} overlapping, ${counts.invalid} unreadable.`;
+
+  // Problems first; they're what needs a look before importing
+  const order = { conflict: 0, invalid: 1, new: 2 };
+  const list = $('#session-import-entries');
+  list.innerHTML = '';
+  [...preview.entries].sort((a, b) => order[a.status] - order[b.status])
+    .forEach(e => list.appendChild(importEntryRow(e)));
+
+  $('#session-import-commit').textContent = `Import ${counts.new} Session${counts.new === 1 ? '' : 's'}`;
+  $('#session-import-commit').disabled = counts.new === 0;
+  $('#session-import-preview').classList.remove('hidden');
+}
+
+$('#session-import-file').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const body = { content: await file.text(), task_type: $('#session-import-task-type').value };
+  try {
+    const preview = await api('/import/sessions?dry_run=1', { method: 'POST', body });
+    if (preview.error) throw new Error(preview.error);
+    pendingSessionImport = body;
+    renderSessionImport(preview);
+  } catch (err) {
+    closeSessionImport();
+    toast('Could not read file: ' + err.message, 'error');
+  }
+});
+
+$('#session-import-commit').addEventListener('click', async () => {
+  if (!pendingSessionImport) return;
+  try {
+    const result = await api('/import/sessions', { method: 'POST', body: pendingSessionImport });
+    if (result.error) throw new Error(result.error);
+    closeSessionImport();
+    toast(`Imported ${result.counts.new} session${result.counts.new === 1 ? '' : 's'}`, 'success');
+    loadDashboard();
+    loadRecentSessions();
+  } catch (err) {
+    toast('Import failed: ' + err.message, 'error');
+  }
+});
+
+// --- Calendar Feed ---
+// The server keeps only a hash of the feed token, so the link can be shown just
+// after it's created; a reload shows the status and offers a reset instead.
+let calendarFeedToken = null;
+
+function calendarFeedUrl() {
+  const params = new URLSearchParams({ token: calendarFeedToken });
+  if ($('#calendar-feed-project').value) params.set('project_id', $('#calendar-feed-project').value);
+  if ($('#calendar-feed-task-type').value) params.set('task_type', $('#calendar-feed-task-type').value);
+  return `${location.origin}/api/calendar.ics?${params}`;
+}
+
+function renderCalendarFeed(feed) {
+  const day = t => parseServerTime(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  if (!feed.enabled) {
+    $('#calendar-feed-status').textContent = 'No link yet.';
+  } else {
+    const fetched = feed.last_fetched_at ? `last read by a calendar ${day(feed.last_fetched_at)}` : 'not read by a calendar yet';
+    $('#calendar-feed-status').textContent = `Link created ${day(feed.created_at)}, ${fetched}.`
+      + (calendarFeedToken ? '' : ' It was only shown once; reset it to get a new one.');
+  }
+  $('#calendar-feed-link').classList.toggle('hidden', !calendarFeedToken);
+  if (calendarFeedToken) $('#calendar-feed-url').value = calendarFeedUrl();
+  $('#calendar-feed-off').classList.toggle('hidden', !feed.enabled);
+  $('#calendar-feed-create').textContent = feed.enabled ? 'Reset Link' : 'Create Link';
+}
+
+async function loadCalendarFeed() {
+  try {
+    const feed = await api('/calendar/feed');
+    if (!feed.error) renderCalendarFeed(feed);
+  } catch (e) { /* offline: leave the section as it was */ }
+}
+
+$('#calendar-feed-create').addEventListener('click', async () => {
+  const resetting = !$('#calendar-feed-off').classList.contains('hidden');
+  if (resetting && !confirm('Reset the link? Calendars subscribed to the old one will stop updating.')) return;
+  try {
+    const feed = await api('/calendar/feed', { method: 'POST' });
+    if (feed.error) throw new Error(feed.error);
+    calendarFeedToken = feed.token;
+    renderCalendarFeed(feed);
+    toast('Link ready — copy it into your calendar app', 'success');
+  } catch (err) {
+    toast('Could not create link: ' + err.message, 'error');
+  }
+});
+
+$('#calendar-feed-off').addEventListener('click', async () => {
+  if (!confirm('Turn the calendar feed off? Subscribed calendars will stop updating.')) return;
+  try {
+    const feed = await api('/calendar/feed', { method: 'DELETE' });
+    if (feed.error) throw new Error(feed.error);
+    calendarFeedToken = null;
+    renderCalendarFeed(feed);
+    toast('Calendar feed turned off', 'success');
+  } catch (err) {
+    toast('Could not turn the feed off: ' + err.message, 'error');
+  }
+});
+
+['#calendar-feed-project', '#calendar-feed-task-type'].forEach(sel => {
+  $(sel).addEventListener('change', () => {
+    if (calendarFeedToken) $('#calendar-feed-url').value = calendarFeedUrl();
+  });
+});
+
+$('#calendar-feed-copy').addEventListener('click', () => {
+  navigator.clipboard.writeText($('#calendar-feed-url').value).then(
+    () => toast('Calendar link copied!', 'success'),
+    () => toast('Copy failed — long press to select the link above', 'error')
+  );
+});
+
+// --- Template Builders ---
+// Builders are definitions from the server (format documented in builders.js):
+// chip groups, and a pattern that turns the picked chips into the rationale.
+// Picks are kept per builder, so switching tabs doesn't lose work in progress.
+let builders = [];
+let activeBuilder = null;
+const builderState = {};
+const TOKEN = /\[([^[\]]*)\]|\{(\w+)(?:\|(\w+))?\}/g;
+const PLACEHOLDER = /\{(\w+)(?:\|(\w+))?\}/g;
+
+function joinList(arr) {
+  if (arr.length === 0) return '';
+  if (arr.length === 1) return arr[0];
+  if (arr.length === 2) return `${arr[0]} and ${arr[1]}`;
+  return arr.slice(0, -1).join(', ') + ', and ' + arr[arr.length - 1];
+}
+
+// Lists read "a, b and c" in the language being written, not always English
+function listJoiner(locale) {
+  if (!locale || !Intl.ListFormat) return joinList;
+  try {
+    const format = new Intl.ListFormat(locale, { type: 'conjunction' });
+    return arr => format.format(arr);
+  } catch (e) {
+    return joinList;
+  }
+}
+
+function formatPick(value, filter, join = joinList) {
+  if (!Array.isArray(value)) return value || '';
+  if (value.length === 0) return '';
+  return filter === 'sentences' ? value.join('. ') + '.' : join(value);
+}
+
+// One pass, so text the user typed into notes is never read as a placeholder
+function fillPattern(pattern, values, join) {
+  const fill = text => text.replace(PLACEHOLDER, (m, id, filter) => formatPick(values[id], filter, join));
+  return pattern.replace(TOKEN, (m, section, id, filter) => {
+    if (section === undefined) return formatPick(values[id], filter, join);
+    const complete = [...section.matchAll(PLACEHOLDER)].every(([, name]) => formatPick(values[name]) !== '');
+    return complete ? fill(section) : '';
+  });
+}
+
+// --- Wording (locale packs and tones) ---
+// Picked in the builder or saved with a template, else the running project's;
+// empty means the builder's own language and standard tone.
+const TONES = ['standard', 'concise', 'formal', 'detailed'];
+
+function builderWording(state) {
+  const project = timerState.session && projects.find(p => p.id === timerState.projectId);
+  return {
+    locale: state.locale || (project && project.locale) || '',
+    tone: state.tone || (project && project.tone) || '',
+  };
+}
+
+// Where each piece of text comes from, most specific first: the locale pack's
+// tone, the pack, the definition's tone, then the definition itself
+function wordingLayers(builder, state) {
+  const def = builder.definition;
+  const { locale, tone } = builderWording(state);
+  const pack = def.packs && locale !== (def.locale || 'en') ? def.packs[locale] : null;
+  const base = { pattern: def.pattern, placeholder: def.placeholder, patterns: {}, text: {} };
+  def.groups.forEach(g => g.options.forEach(o => {
+    const ref = `${g.id}:${o.value}`;
+    if (o.pattern !== undefined) base.patterns[ref] = o.pattern;
+    base.text[ref] = o.text !== undefined ? o.text : o.value;
+  }));
+  const toned = layer => layer && layer.tones && layer.tones[tone];
+  return {
+    layers: [toned(pack), pack, toned(def), base].filter(Boolean),
+    join: pack ? listJoiner(locale) : joinList,
+  };
+}
+
+function wordingFor(layers, key, ref) {
+  const layer = layers.find(l => (ref ? l[key] && l[key][ref] !== undefined : l[key] !== undefined));
+  return layer ? (ref ? layer[key][ref] : layer[key]) : undefined;
+}
+
+// The pattern in effect: within the most specific layer that has one, a picked
+// single-select option's pattern beats the general one
+function activePattern(builder, state) {
+  const def = builder.definition;
+  const { layers } = wordingLayers(builder, state);
+  let requires = def.requires || [];
+  const picked = [];
+  def.groups.filter(g => g.select === 'single').forEach(group => {
+    const opt = group.options.find(o => o.value === state.picks[group.id]);
+    if (!opt) return;
+    if (opt.requires !== undefined) requires = opt.requires;
+    picked.unshift({ ref: `${group.id}:${opt.value}`, opt });
+  });
+
+  for (const layer of layers) {
+    const hit = picked.find(p => layer.patterns && layer.patterns[p.ref] !== undefined);
+    if (hit) return { pattern: layer.patterns[hit.ref], requires, option: hit.opt };
+    if (layer.pattern !== undefined) return { pattern: layer.pattern, requires, option: null };
+  }
+  return { pattern: def.pattern, requires, option: null };
+}
+
+// The rationale for the current picks, or null until the builder's requirements are met
+function builderText(builder, state) {
+  const def = builder.definition;
+  const { pattern, requires } = activePattern(builder, state);
+  if (def.groups.some(g => g.required && !state.picks[g.id])) return null;
+
+  const { layers, join } = wordingLayers(builder, state);
+  const values = { notes: state.notes.trim() };
+  def.groups.forEach(group => {
+    const textOf = value => wordingFor(layers, 'text', `${group.id}:${value}`) || '';
+    const pick = state.picks[group.id];
+    values[group.id] = group.select === 'multi' ? pick.map(textOf) : (pick ? textOf(pick) : '');
+  });
+
+  if (requires.length && !requires.some(id => formatPick(values[id]) !== '')) return null;
+  return fillPattern(pattern, values, join);
+}
+
+function builderPlaceholder(builder, state) {
+  return wordingFor(wordingLayers(builder, state).layers, 'placeholder') || 'Make a selection to generate text...';
+}
+
+function languageName(locale) {
+  try {
+    return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(locale) || locale;
+  } catch (e) {
+    return locale;
+  }
+}
+
+function toneName(tone) {
+  return tone[0].toUpperCase() + tone.slice(1);
+}
+
+function builderLocales(builder) {
+  const def = builder.definition;
+  return [def.locale || 'en', ...Object.keys(def.packs || {})];
+}
+
+// Builder state from saved template content ({ groupId: value(s), notes, locale, tone }),
+// keeping only picks the definition still offers
+function stateFrom(builder, content = {}) {
+  const picks = {};
+  builder.definition.groups.forEach(group => {
+    const offered = group.options.map(o => o.value);
+    const saved = content[group.id];
+    picks[group.id] = group.select === 'multi'
+      ? (Array.isArray(saved) ? saved.filter(v => offered.includes(v)) : [])
+      : (offered.includes(saved) ? saved : (group.required ? null : offered[0]));
+  });
+  return {
+    picks,
+    notes: typeof content.notes === 'string' ? content.notes : '',
+    locale: typeof content.locale === 'string' ? content.locale : '',
+    tone: typeof content.tone === 'string' ? content.tone : '',
+  };
+}
+
+function contentOf(state) {
+  return { ...state.picks, notes: state.notes, locale: state.locale, tone: state.tone };
 }
 
-$$('.nav-btn').forEach(btn => {
-  btn.addEventListener('click', () => navigateTo(btn.dataset.view));
-});
+function currentBuilder() {
+  return builders.find(b => b.task_type === activeBuilder) || null;
+}
 
-$('#quick-templates').addEventListener('click', () => navigateTo('templates'));
-$('#quick-settings').addEventListener('click', () => navigateTo('settings'));
+async function loadBuilders(select) {
+  try {
+    const rows = await api('/builders');
+    if (!Array.isArray(rows)) return;
+    builders = rows;
+  } catch (e) {
+    return;
+  }
 
-// --- Theme Toggle ---
-function setTheme(dark) {
-  document.documentElement.setAttribute('data-theme', dark ? 'dark' : 'light');
-  localStorage.setItem('rwp-theme', dark ? 'dark' : 'light');
-  $('#dark-mode-toggle').checked = dark;
+  // Re-fit work in progress to definitions that may have changed
+  builders.forEach(b => {
+    builderState[b.task_type] = stateFrom(b, builderState[b.task_type] && contentOf(builderState[b.task_type]));
+  });
+  if (select) activeBuilder = select;
+  if (!currentBuilder()) activeBuilder = builders.length ? builders[0].task_type : null;
+
+  renderTaskTypeOptions();
+  renderProjectWordingOptions(projects.find(p => p.id === editingProjectId));
+  renderBuilderTabs();
+  renderBuilder();
+  if (activeBuilder) loadTemplates(activeBuilder);
 }
 
-$('#theme-toggle').addEventListener('click', () => {
-  const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
-  setTheme(!isDark);
+// New builders bring new task types; offer them wherever a task type is picked
+function renderTaskTypeOptions() {
+  builders.forEach(b => {
+    if (!document.querySelector(`#timer-types [data-task-type="${b.task_type}"]`)) {
+      const chip = document.createElement('button');
+      chip.className = 'chip chip-toggle';
+      chip.dataset.taskType = b.task_type;
+      chip.textContent = b.name;
+      $('#timer-types').appendChild(chip);
+    }
+    ['#report-task-type', '#sheet-task-type', '#session-import-task-type', '#calendar-feed-task-type'].forEach(sel => {
+      const select = $(sel);
+      if (![...select.options].some(o => o.value === b.task_type)) select.appendChild(new Option(b.name, b.task_type));
+    });
+  });
+  renderTimer();
+}
+
+function renderBuilderTabs() {
+  const tabs = $('#builder-tabs');
+  tabs.innerHTML = '';
+  builders.forEach(b => {
+    const tab = document.createElement('button');
+    tab.className = 'tt-tab' + (b.task_type === activeBuilder ? ' active' : '');
+    tab.dataset.builder = b.task_type;
+    tab.textContent = b.name;
+    tabs.appendChild(tab);
+  });
+}
+
+function renderBuilder() {
+  const builder = currentBuilder();
+  $('#builder').classList.toggle('hidden', !builder);
+  $('#builder-tabs').classList.toggle('hidden', !builder);
+  $('#builder-edit').classList.toggle('hidden', !builder);
+  if (!builder) return;
+
+  const state = builderState[builder.task_type];
+  const groups = $('#builder-groups');
+  groups.innerHTML = '';
+  let chipNumber = 0;
+  builder.definition.groups.forEach(group => {
+    const section = document.createElement('section');
+    section.className = 'section';
+    const heading = document.createElement('h3');
+    heading.textContent = group.label;
+    const row = document.createElement('div');
+    row.className = 'chip-row';
+
+    group.options.forEach(opt => {
+      const chip = document.createElement('button');
+      chip.className = 'chip' + (group.select === 'single' ? ' chip-toggle' : '');
+      chip.dataset.group = group.id;
+      chip.dataset.val = opt.value;
+      chip.dataset.key = ++chipNumber;
+      chip.textContent = opt.label;
+      const pick = state.picks[group.id];
+      chip.classList.toggle('active', group.select === 'multi' ? pick.includes(opt.value) : pick === opt.value);
+      row.appendChild(chip);
+    });
+
+    section.append(heading, row);
+    groups.appendChild(section);
+  });
+
+  const patterns = [builder.definition.pattern];
+  builder.definition.groups.forEach(g => g.options.forEach(o => o.pattern && patterns.push(o.pattern)));
+  $('#builder-notes-section').classList.toggle('hidden', !patterns.some(p => p.includes('{notes}')));
+  $('#builder-notes').value = state.notes;
+
+  fillSelect($('#builder-locale'), builderLocales(builder).map(code => [code, languageName(code)]), state.locale);
+  fillSelect($('#builder-tone'), TONES.map(tone => [tone, toneName(tone)]), state.tone);
+
+  renderBuilderPreview();
+  renderLibrary();
+}
+
+// An empty first choice defers to the next level down (builder → project → definition)
+function fillSelect(select, options, value, emptyLabel = 'Project default') {
+  select.innerHTML = '';
+  select.appendChild(new Option(emptyLabel, ''));
+  options.forEach(([val, label]) => select.appendChild(new Option(label, val)));
+  select.value = options.some(([val]) => val === value) ? value : '';
+}
+
+function renderBuilderPreview() {
+  const builder = currentBuilder();
+  if (!builder) return;
+  const state = builderState[builder.task_type];
+  const text = builderText(builder, state);
+  const preview = $('#builder-preview');
+  preview.textContent = text || builderPlaceholder(builder, state);
+  preview.classList.toggle('has-content', !!text);
+
+  const issues = rationaleIssues(builder, state, text);
+  const warnings = $('#builder-warnings');
+  warnings.innerHTML = '';
+  issues.forEach(issue => {
+    const li = document.createElement('li');
+    li.textContent = issue;
+    warnings.appendChild(li);
+  });
+  warnings.classList.toggle('hidden', issues.length === 0);
+  warnings.classList.toggle('strict', rationaleRules.strict);
+  $('#builder-copy').disabled = !text || (rationaleRules.strict && issues.length > 0);
+}
+
+function selectBuilder(type) {
+  if (type === activeBuilder || !builders.some(b => b.task_type === type)) return;
+  activeBuilder = type;
+  renderBuilderTabs();
+  renderBuilder();
+  loadTemplates(activeBuilder);
+}
+
+$('#builder-tabs').addEventListener('click', (e) => {
+  const tab = e.target.closest('[data-builder]');
+  if (tab) selectBuilder(tab.dataset.builder);
 });
 
-$('#dark-mode-toggle').addEventListener('change', (e) => {
-  setTheme(e.target.checked);
+$('#builder-groups').addEventListener('click', (e) => {
+  const chip = e.target.closest('[data-group]');
+  const builder = currentBuilder();
+  if (!chip || !builder) return;
+
+  const group = builder.definition.groups.find(g => g.id === chip.dataset.group);
+  const picks = builderState[builder.task_type].picks;
+  const value = chip.dataset.val;
+  if (group.select === 'single') {
+    picks[group.id] = value;
+    chip.parentElement.querySelectorAll('.chip').forEach(c => c.classList.toggle('active', c === chip));
+  } else {
+    // Multi picks keep the order they were tapped in, which is the order they're written
+    picks[group.id] = picks[group.id].includes(value)
+      ? picks[group.id].filter(v => v !== value)
+      : [...picks[group.id], value];
+    chip.classList.toggle('active');
+  }
+  renderBuilderPreview();
 });
 
-const savedTheme = localStorage.getItem('rwp-theme');
-setTheme(savedTheme !== 'light');
+$('#builder-notes').addEventListener('input', () => {
+  const builder = currentBuilder();
+  if (!builder) return;
+  builderState[builder.task_type].notes = $('#builder-notes').value;
+  renderBuilderPreview();
+});
 
-// --- Config Loading ---
-async function loadConfig() {
-  try {
-    config = await api('/config');
-  } catch (e) { /* silent */ }
+['locale', 'tone'].forEach(key => {
+  $(`#builder-${key}`).addEventListener('change', (e) => {
+    const builder = currentBuilder();
+    if (!builder) return;
+    builderState[builder.task_type][key] = e.target.value;
+    renderBuilderPreview();
+  });
+});
+
+// The single-select picks (winner, verdict, …) in words, for skimming the copy log
+function builderSummary(builder, state) {
+  return builder.definition.groups
+    .filter(g => g.select === 'single')
+    .map(g => {
+      const opt = g.options.find(o => o.value === state.picks[g.id]);
+      return opt ? `${g.label}: ${opt.label}` : '';
+    })
+    .filter(Boolean)
+    .join(' · ');
 }
 
-// --- Hub Cards (Dashboard) ---
-$('#card-handshake').addEventListener('click', () => {
-  if (!config.handshake_url) {
-    toast('Configure Handshake URL in Settings first', 'error');
-    navigateTo('settings');
-    $('#setting-handshake').focus();
+// The wording the text was actually written in, for reading the log back
+function copiedWording(builder, state) {
+  const { locale, tone } = builderWording(state);
+  return { locale: locale || builder.definition.locale || 'en', tone: tone || 'standard' };
+}
+
+// Copying finishes a task: it is logged against the running session and counted
+$('#builder-copy').addEventListener('click', async () => {
+  const builder = currentBuilder();
+  const state = builder && builderState[builder.task_type];
+  const text = builder && builderText(builder, state);
+  if (!text) return;
+  if (rationaleRules.strict && rationaleIssues(builder, state, text).length > 0) {
+    toast('Strict checks: fix the warnings before copying', 'error');
     return;
   }
-  navigateTo('handshake');
-});
 
-$('#card-multimango').addEventListener('click', () => {
-  if (!config.multimango_url) {
-    toast('Configure Multimango URL in Settings first', 'error');
-    navigateTo('settings');
-    $('#setting-multimango').focus();
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (e) {
+    toast('Could not copy: ' + e.message, 'error');
     return;
   }
-  navigateTo('multimango');
-});
 
-// --- Handshake Hub ---
-function getHandshakeBase() {
+  const { session } = timerState;
+  if (!session) {
+    toast('Copied! Start the timer to keep a log of copies', 'success');
+    return;
+  }
   try {
-    const url = new URL(config.handshake_url);
-    return url.origin;
+    countTask(await api(`/sessions/${session.id}/copies`, {
+      method: 'POST',
+      body: {
+        task_type: builder.task_type,
+        builder_name: builder.name,
+        summary: builderSummary(builder, state),
+        selections: { ...state.picks, ...copiedWording(builder, state) },
+        text,
+        template_id: state.templateId,
+      },
+    }));
+    toast('Copied and logged', 'success');
+    loadDashboard();
+    loadTaskPace();
   } catch (e) {
-    return config.handshake_url.replace(/\/+$/, '');
+    toast('Copied, but not logged: ' + e.message, 'error');
   }
-}
+});
 
-$('#hs-back').addEventListener('click', () => navigateTo('dashboard'));
+// --- Rationale Checks ---
+// Mistakes that get submissions rejected: an unpicked winner/verdict, picks the
+// builder marks as contradictory, picks the chosen pattern silently drops (e.g.
+// issues on a Tie), text under the running project's minimum length, and phrases
+// banned in settings. Strict mode blocks copying until they are fixed.
+let rationaleRules = { banned: [], strict: false };
 
-$('#hs-open-full').addEventListener('click', () => {
-  window.open(config.handshake_url, '_blank');
-});
+function rationaleIssues(builder, state, text) {
+  const def = builder.definition;
+  const issues = [];
+  const isPicked = (id, value) => {
+    const pick = state.picks[id];
+    return Array.isArray(pick) ? pick.includes(value) : pick === value;
+  };
+  const labelOf = (id, value) => {
+    const group = def.groups.find(g => g.id === id);
+    const opt = group && group.options.find(o => o.value === value);
+    return opt ? `"${opt.label}"` : `"${value}"`;
+  };
 
-$$('.hs-tile').forEach(tile => {
-  tile.addEventListener('click', () => {
-    const path = tile.dataset.hsPath;
-    const base = getHandshakeBase();
-    window.open(base + path, '_blank');
+  def.groups
+    .filter(g => g.required && !state.picks[g.id])
+    .forEach(g => issues.push(`No ${g.label.toLowerCase()} picked`));
+
+  (def.conflicts || []).forEach(conflict => {
+    const refs = conflict.map(ref => [ref.slice(0, ref.indexOf(':')), ref.slice(ref.indexOf(':') + 1)]);
+    if (refs.every(([id, value]) => isPicked(id, value))) {
+      issues.push(`${joinList(refs.map(([id, value]) => labelOf(id, value)))} contradict each other`);
+    }
   });
-});
 
-// --- Multimango Hub ---
-$('#mm-back').addEventListener('click', () => navigateTo('dashboard'));
+  const { pattern, option } = activePattern(builder, state);
+  const used = [...pattern.matchAll(PLACEHOLDER)].map(([, id]) => id);
+  def.groups
+    .filter(g => g.select === 'multi' && state.picks[g.id].length > 0 && !used.includes(g.id))
+    .forEach(g => issues.push(`${g.label} are picked but left out${option ? ` of a "${option.label}"` : ''}`));
 
-$('#mm-open-full').addEventListener('click', () => {
-  window.open(config.multimango_url, '_blank');
-});
+  if (text) {
+    const project = timerState.session && projects.find(p => p.id === timerState.projectId);
+    if (project && project.min_rationale_chars > text.length) {
+      issues.push(`${project.name} needs at least ${project.min_rationale_chars} characters (${text.length} so far)`);
+    }
+    const lower = text.toLowerCase();
+    rationaleRules.banned
+      .filter(phrase => lower.includes(phrase.toLowerCase()))
+      .forEach(phrase => issues.push(`Contains banned phrase "${phrase}"`));
+  }
+  return issues;
+}
 
-// --- Settings ---
-async function loadSettings() {
+function parsePhrases(value) {
+  return value.split('\n').map(p => p.trim()).filter(Boolean);
+}
+
+// --- Builder Editor ---
+const STARTER_DEFINITION = {
+  pattern: 'Score: {score}/5.[ Strengths: {strengths}.][ {notes}]',
+  requires: ['strengths'],
+  placeholder: 'Select strengths to generate text...',
+  groups: [
+    {
+      id: 'score',
+      label: 'Score',
+      select: 'single',
+      required: true,
+      options: ['1', '2', '3', '4', '5'].map(n => ({ label: n, value: n })),
+    },
+    {
+      id: 'strengths',
+      label: 'Strengths',
+      select: 'multi',
+      options: [
+        { label: 'Accurate', value: 'factually accurate' },
+        { label: 'Reasoned', value: 'well reasoned' },
+      ],
+    },
+  ],
+};
+const BUILDER_HINT = $('#builder-hint').textContent;
+let editingBuilder = null;
+
+function openBuilderSheet(builder) {
+  editingBuilder = builder;
+  $('#builder-sheet-title').textContent = builder ? 'Edit Builder' : 'New Builder';
+  $('#builder-name').value = builder ? builder.name : '';
+  $('#builder-task-type').value = builder ? builder.task_type : '';
+  // Saved templates and sessions refer to the task type, so it is fixed once created
+  $('#builder-task-type').disabled = !!builder;
+  $('#builder-definition').value = JSON.stringify(builder ? builder.definition : STARTER_DEFINITION, null, 2);
+  $('#builder-delete').classList.toggle('hidden', !builder);
+  checkBuilderDefinition();
+  $('#builder-sheet').classList.remove('hidden');
+}
+
+function closeBuilderSheet() {
+  editingBuilder = null;
+  $('#builder-sheet').classList.add('hidden');
+}
+
+// Syntax is checked as you type; the server checks the structure on save
+function checkBuilderDefinition() {
+  const hint = $('#builder-hint');
   try {
-    const cfg = await api('/config');
-    $('#setting-handshake').value = cfg.handshake_url || '';
-    $('#setting-multimango').value = cfg.multimango_url || '';
-  } catch (e) { /* silent */ }
+    JSON.parse($('#builder-definition').value);
+    hint.textContent = BUILDER_HINT;
+    hint.classList.remove('error');
+    return true;
+  } catch (e) {
+    hint.textContent = 'Not valid JSON: ' + e.message;
+    hint.classList.add('error');
+    return false;
+  }
 }
 
-$('#save-settings').addEventListener('click', async () => {
-  const settings = {
-    handshake_url: $('#setting-handshake').value.trim(),
-    multimango_url: $('#setting-multimango').value.trim(),
+$('#builder-definition').addEventListener('input', checkBuilderDefinition);
+$('#builder-edit').addEventListener('click', () => openBuilderSheet(currentBuilder()));
+$('#builder-new').addEventListener('click', () => openBuilderSheet(null));
+$('#builder-sheet-close').addEventListener('click', closeBuilderSheet);
+$('#builder-sheet').addEventListener('click', (e) => {
+  if (e.target === $('#builder-sheet')) closeBuilderSheet();
+});
+
+$('#builder-save').addEventListener('click', async () => {
+  if (!checkBuilderDefinition()) {
+    toast('Fix the definition JSON first', 'error');
+    return;
+  }
+  const body = {
+    name: $('#builder-name').value.trim(),
+    definition: JSON.parse($('#builder-definition').value),
   };
 
   try {
-    await api('/settings', { method: 'PUT', body: settings });
-    toast('Settings saved', 'success');
-    await loadConfig();
+    let saved;
+    if (editingBuilder) {
+      saved = await api(`/builders/${editingBuilder.id}`, { method: 'PUT', body });
+    } else {
+      body.task_type = $('#builder-task-type').value.trim();
+      saved = await api('/builders', { method: 'POST', body });
+    }
+    toast(editingBuilder ? 'Builder saved' : 'Builder added', 'success');
+    closeBuilderSheet();
+    await loadBuilders(saved.task_type);
   } catch (e) {
     toast('Failed to save: ' + e.message, 'error');
   }
 });
 
-// --- Template Tabs ---
-$$('.tt-tab').forEach(tab => {
-  tab.addEventListener('click', () => {
-    $$('.tt-tab').forEach(t => t.classList.remove('active'));
-    tab.classList.add('active');
-    $$('.template-builder').forEach(b => b.classList.add('hidden'));
-    $(`#tt-${tab.dataset.tt}`).classList.remove('hidden');
-  });
+$('#builder-delete').addEventListener('click', async () => {
+  if (!editingBuilder) return;
+  if (!confirm(`Delete the "${editingBuilder.name}" builder? Its saved templates are kept.`)) return;
+  try {
+    await api(`/builders/${editingBuilder.id}`, { method: 'DELETE' });
+    toast('Builder deleted', 'success');
+    closeBuilderSheet();
+    await loadBuilders();
+  } catch (e) {
+    toast('Failed to delete: ' + e.message, 'error');
+  }
 });
 
-// --- H2H Template Builder ---
-let h2hState = { winner: 'a', qualities: [], issues: [] };
+// --- Template Library ---
+// A saved template is a builder's picks and notes; it loads into the builder
+// whose task_type it was saved from.
+const templateLibrary = {};
 
-$$('[data-winner]').forEach(chip => {
-  chip.addEventListener('click', () => {
-    $$('[data-winner]').forEach(c => c.classList.remove('active'));
-    chip.classList.add('active');
-    h2hState.winner = chip.dataset.winner;
-    renderH2HPreview();
-  });
-});
+async function loadTemplates(type) {
+  try {
+    const rows = await api(`/templates?task_type=${encodeURIComponent(type)}`);
+    if (!Array.isArray(rows)) return;
+    templateLibrary[type] = rows;
+    if (type === activeBuilder) renderLibrary();
+  } catch (e) { /* silent */ }
+}
 
-$$('#h2h-qualities .chip').forEach(chip => {
-  chip.addEventListener('click', () => {
-    chip.classList.toggle('active');
-    const val = chip.dataset.val;
-    if (chip.classList.contains('active')) {
-      h2hState.qualities.push(val);
-    } else {
-      h2hState.qualities = h2hState.qualities.filter(q => q !== val);
-    }
-    renderH2HPreview();
-  });
-});
+function renderLibrary() {
+  const type = activeBuilder;
+  const list = $('#builder-library');
+  list.innerHTML = '';
+  if (!templateLibrary[type] || templateLibrary[type].length === 0) {
+    list.innerHTML = '<p class="desc">Nothing saved yet. Build a rationale below and save it as a template.</p>';
+    return;
+  }
 
-$$('#h2h-issues .chip').forEach(chip => {
-  chip.addEventListener('click', () => {
-    chip.classList.toggle('active');
-    const val = chip.dataset.val;
-    if (chip.classList.contains('active')) {
-      h2hState.issues.push(val);
-    } else {
-      h2hState.issues = h2hState.issues.filter(i => i !== val);
-    }
-    renderH2HPreview();
-  });
-});
+  templateLibrary[type].forEach(t => {
+    const row = document.createElement('div');
+    row.className = 'library-row';
 
-$('#h2h-notes').addEventListener('input', renderH2HPreview);
+    const load = document.createElement('button');
+    load.className = 'library-load';
+    const name = document.createElement('span');
+    name.className = 'library-name';
+    name.textContent = t.name;
+    const uses = document.createElement('span');
+    uses.className = 'library-uses';
+    uses.textContent = t.use_count ? `Used ${t.use_count} time${t.use_count === 1 ? '' : 's'}` : 'Not used yet';
+    load.append(name, uses);
+    load.addEventListener('click', () => useTemplate(type, t));
 
-function renderH2HPreview() {
-  const { winner, qualities, issues } = h2hState;
-  const notes = $('#h2h-notes').value.trim();
-  const preview = $('#h2h-preview');
+    const actions = [
+      ['Rename', () => renameTemplate(type, t)],
+      ['Copy', () => duplicateTemplate(type, t)],
+      ['Delete', () => deleteTemplate(type, t)],
+    ].map(([label, handler]) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-ghost btn-small';
+      btn.textContent = label;
+      btn.addEventListener('click', handler);
+      return btn;
+    });
 
-  if (winner === 'tie') {
-    let text = 'Both responses are roughly equal in quality.';
-    if (qualities.length > 0) {
-      text += ` Both are ${joinList(qualities)}.`;
-    }
-    if (notes) text += ` ${notes}`;
-    preview.textContent = text;
-    preview.classList.add('has-content');
+    row.append(load, ...actions);
+    list.appendChild(row);
+  });
+}
+
+async function useTemplate(type, t) {
+  let content;
+  try {
+    content = JSON.parse(t.content);
+  } catch (e) {
+    toast('This template is damaged and cannot be loaded', 'error');
     return;
   }
+  const builder = builders.find(b => b.task_type === type);
+  if (!builder) return;
+  // Copies made from here on are credited to this template
+  builderState[type] = { ...stateFrom(builder, content), templateId: t.id };
+  renderBuilder();
+  toast(`Loaded "${t.name}"`, 'success');
+  try {
+    // Counted now, re-sorted next time the list loads so rows don't jump under a tap
+    const updated = await api(`/templates/${t.id}/use`, { method: 'POST' });
+    t.use_count = updated.use_count;
+    if (type === activeBuilder) renderLibrary();
+  } catch (e) { /* silent */ }
+}
+
+async function renameTemplate(type, t) {
+  const name = prompt('Template name', t.name);
+  if (name === null || !name.trim() || name.trim() === t.name) return;
+  try {
+    await api(`/templates/${t.id}`, { method: 'PUT', body: { name: name.trim() } });
+    await loadTemplates(type);
+  } catch (e) {
+    toast('Failed to rename: ' + e.message, 'error');
+  }
+}
+
+async function duplicateTemplate(type, t) {
+  try {
+    await api(`/templates/${t.id}/duplicate`, { method: 'POST' });
+    toast('Template duplicated', 'success');
+    await loadTemplates(type);
+  } catch (e) {
+    toast('Failed to duplicate: ' + e.message, 'error');
+  }
+}
 
-  const w = winner.toUpperCase();
-  const l = winner === 'a' ? 'B' : 'A';
+async function deleteTemplate(type, t) {
+  if (!confirm(`Delete template "${t.name}"?`)) return;
+  try {
+    await api(`/templates/${t.id}`, { method: 'DELETE' });
+    if (builderState[type] && builderState[type].templateId === t.id) builderState[type].templateId = null;
+    toast('Template deleted', 'success');
+    await loadTemplates(type);
+  } catch (e) {
+    toast('Failed to delete: ' + e.message, 'error');
+  }
+}
 
-  if (qualities.length === 0 && issues.length === 0) {
-    preview.textContent = 'Select qualities and/or issues to generate text...';
-    preview.classList.remove('has-content');
+$('#template-save').addEventListener('click', async () => {
+  const type = activeBuilder;
+  if (!type) return;
+  const name = prompt('Name this template');
+  if (name === null) return;
+  if (!name.trim()) {
+    toast('Template name is required', 'error');
     return;
   }
+  try {
+    await api('/templates', {
+      method: 'POST',
+      body: { name: name.trim(), task_type: type, content: contentOf(builderState[type]) },
+    });
+    toast('Template saved', 'success');
+    await loadTemplates(type);
+  } catch (e) {
+    toast('Failed to save: ' + e.message, 'error');
+  }
+});
 
-  let text = `Response ${w} is the better response.`;
+// --- Keyboard Shortcuts ---
+// Every command can be bound to a key; bindings the user changed are saved in
+// settings (`shortcuts`, JSON of command id → keys, "" for unbound) and the rest
+// use the defaults here. Single keys are ignored while typing in a field or with
+// a sheet open; commands marked `anywhere` (the palette) still fire.
+const VIEW_NAMES = { dashboard: 'Home', timer: 'Timer', templates: 'Templates', reports: 'Reports', settings: 'Settings', team: 'Team' };
 
-  if (qualities.length > 0) {
-    text += ` Response ${w} is ${joinList(qualities)}.`;
+const COMMANDS = [
+  { id: 'palette', label: 'Command palette', keys: 'Ctrl+K', anywhere: true, run: () => togglePalette() },
+  { id: 'help', label: 'Keyboard shortcuts', keys: '?', run: () => openShortcutHelp() },
+  { id: 'timer-toggle', label: 'Start / stop timer', keys: 'S', run: () => $('#timer-toggle').click() },
+  { id: 'timer-pause', label: 'Pause / resume timer', keys: 'P', run: () => $('#timer-pause').click() },
+  { id: 'timer-increment', label: 'Count a task (+1)', keys: '+', run: () => countTaskShortcut() },
+  { id: 'builder-copy', label: 'Copy builder output', keys: 'C', run: () => copyBuilderShortcut() },
+  { id: 'builder-clear', label: 'Clear builder picks', keys: 'X', run: () => clearBuilder() },
+  { id: 'builder-next', label: 'Next builder', keys: ']', run: () => cycleBuilder(1) },
+  { id: 'builder-prev', label: 'Previous builder', keys: '[', run: () => cycleBuilder(-1) },
+  ...Object.entries(VIEW_NAMES).map(([view, name], i) => (
+    { id: `view-${view}`, label: `Go to ${name}`, keys: `Alt+${i + 1}`, run: () => navigateTo(view) }
+  )),
+];
+
+let shortcutOverrides = {};
+
+function bindingFor(command) {
+  return command.id in shortcutOverrides ? shortcutOverrides[command.id] : command.keys;
+}
+
+// "Ctrl+Shift+K", "Alt+1", "?" … Cmd counts as Ctrl so the defaults work on a Mac.
+// Letters and digits come from the physical key, so Alt/Option combos still read
+// as "Alt+1" rather than the symbol they type; other characters already carry Shift.
+function comboOf(e) {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return '';
+  const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '');
+  let key = code ? code[1] || code[2] : e.key;
+  if (key === ' ') key = 'Space';
+  else if (key.length === 1) key = key.toUpperCase();
+  const shift = e.shiftKey && (key.length > 1 || /[A-Z0-9]/.test(key));
+  return [e.ctrlKey || e.metaKey ? 'Ctrl' : '', e.altKey ? 'Alt' : '', shift ? 'Shift' : '', key]
+    .filter(Boolean).join('+');
+}
+
+function isTyping(el) {
+  return el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+}
+
+function sheetOpen() {
+  return !!document.querySelector('.sheet-backdrop:not(.hidden)');
+}
+
+function countTaskShortcut() {
+  if (!timerState.session) {
+    toast('Start the timer to count tasks', 'info');
+    return;
   }
+  $('#timer-increment').click();
+  toast(`+1 task (${(timerState.session.task_count || 0) + 1})`, 'success');
+}
 
-  if (issues.length > 0) {
-    text += ` Response ${l} ${joinList(issues)}.`;
+function copyBuilderShortcut() {
+  if ($('#builder-copy').disabled) {
+    toast(currentBuilder() ? 'Nothing to copy yet' : 'No builder to copy from', 'info');
+    return;
   }
+  $('#builder-copy').click();
+}
 
-  if (notes) text += ` ${notes}`;
+function clearBuilder() {
+  const builder = currentBuilder();
+  if (!builder) return;
+  builderState[builder.task_type] = stateFrom(builder);
+  renderBuilder();
+}
 
-  preview.textContent = text;
-  preview.classList.add('has-content');
+function cycleBuilder(step) {
+  if (builders.length === 0) return;
+  const i = builders.findIndex(b => b.task_type === activeBuilder);
+  selectBuilder(builders[(i + step + builders.length) % builders.length].task_type);
+  navigateTo('templates');
+  toast(currentBuilder().name, 'info');
 }
 
-function joinList(arr) {
-  if (arr.length === 0) return '';
-  if (arr.length === 1) return arr[0];
-  if (arr.length === 2) return `${arr[0]} and ${arr[1]}`;
-  return arr.slice(0, -1).join(', ') + ', and ' + arr[arr.length - 1];
+// Chips are numbered across the builder's groups (the badges show on desktop).
+// A second digit is waited for only while it could still name a chip, so
+// "1" then "2" picks chip 12 on a builder with twelve or more.
+let chipDigits = '';
+let chipDigitTimer = null;
+
+function pressChipDigit(digit) {
+  clearTimeout(chipDigitTimer);
+  chipDigits += digit;
+  const count = $$('#builder-groups .chip').length;
+  if (Number(chipDigits) * 10 <= count) {
+    chipDigitTimer = setTimeout(toggleNumberedChip, 600);
+  } else {
+    toggleNumberedChip();
+  }
+}
+
+function toggleNumberedChip() {
+  const chip = document.querySelector(`#builder-groups .chip[data-key="${Number(chipDigits)}"]`);
+  chipDigits = '';
+  if (chip) chip.click();
 }
 
-$('#h2h-copy').addEventListener('click', () => {
-  const text = $('#h2h-preview').textContent;
-  if (text && !text.includes('Select')) {
-    navigator.clipboard.writeText(text).then(() => toast('Copied!', 'success'));
+let recordingShortcut = null;
+
+document.addEventListener('keydown', (e) => {
+  if (e.repeat || e.isComposing) return;
+  const combo = comboOf(e);
+  if (!combo) return;
+
+  if (recordingShortcut) {
+    e.preventDefault();
+    finishRecording(combo);
+    return;
+  }
+  if (combo === 'Escape' && !$('#shortcut-help').classList.contains('hidden')) {
+    closeShortcutHelp();
+    return;
+  }
+
+  const quiet = isTyping(e.target) || sheetOpen();
+  const command = COMMANDS.find(c => bindingFor(c) === combo);
+  if (command && (command.anywhere || !quiet)) {
+    e.preventDefault();
+    command.run();
+  } else if (!command && !quiet && /^\d$/.test(combo) && $('#view-templates').classList.contains('active')) {
+    e.preventDefault();
+    pressChipDigit(combo);
   }
 });
 
-// --- Graph Review Template Builder ---
-let graphState = { verdict: 'pass', observations: [] };
+// --- Shortcut Settings ---
+let pendingShortcuts = {};
+
+async function loadShortcuts() {
+  try {
+    const settings = await api('/settings');
+    if (settings.error) return;
+    shortcutOverrides = settings.shortcuts || {};
+  } catch (e) {
+    shortcutOverrides = {};
+  }
+  pendingShortcuts = { ...shortcutOverrides };
+  renderShortcutSettings();
+}
 
-$$('[data-verdict]').forEach(chip => {
-  chip.addEventListener('click', () => {
-    $$('[data-verdict]').forEach(c => c.classList.remove('active'));
-    chip.classList.add('active');
-    graphState.verdict = chip.dataset.verdict;
-    renderGraphPreview();
+function pendingBinding(command) {
+  return command.id in pendingShortcuts ? pendingShortcuts[command.id] : command.keys;
+}
+
+function renderShortcutSettings() {
+  const list = $('#shortcut-list');
+  list.innerHTML = '';
+  COMMANDS.forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    const label = document.createElement('span');
+    label.textContent = command.label;
+    const keys = document.createElement('button');
+    keys.className = 'btn btn-ghost btn-small shortcut-keys';
+    keys.classList.toggle('recording', recordingShortcut === command.id);
+    keys.textContent = recordingShortcut === command.id ? 'Press keys…' : (pendingBinding(command) || 'Unbound');
+    keys.addEventListener('click', () => {
+      recordingShortcut = recordingShortcut === command.id ? null : command.id;
+      renderShortcutSettings();
+    });
+    row.append(label, keys);
+    list.appendChild(row);
   });
+}
+
+// One command per key: taking a key another command uses unbinds that one
+function finishRecording(combo) {
+  const id = recordingShortcut;
+  recordingShortcut = null;
+  if (combo === 'Escape') {
+    renderShortcutSettings();
+    return;
+  }
+  const keys = combo === 'Backspace' || combo === 'Delete' ? '' : combo;
+  const taken = keys && COMMANDS.find(c => c.id !== id && pendingBinding(c) === keys);
+  if (taken) {
+    pendingShortcuts[taken.id] = '';
+    toast(`${keys} was "${taken.label}" — that is now unbound`, 'info');
+  }
+  pendingShortcuts[id] = keys;
+  renderShortcutSettings();
+}
+
+$('#reset-shortcuts').addEventListener('click', () => {
+  recordingShortcut = null;
+  pendingShortcuts = {};
+  renderShortcutSettings();
+  toast('Defaults restored — save to keep them', 'info');
 });
 
-$$('#graph-observations .chip').forEach(chip => {
-  chip.addEventListener('click', () => {
-    chip.classList.toggle('active');
-    const val = chip.dataset.val;
-    if (chip.classList.contains('active')) {
-      graphState.observations.push(val);
-    } else {
-      graphState.observations = graphState.observations.filter(o => o !== val);
-    }
-    renderGraphPreview();
+$('#save-shortcuts').addEventListener('click', async () => {
+  // Only bindings that differ from the defaults are stored, so new defaults still arrive
+  const changed = {};
+  COMMANDS.forEach(c => {
+    if (c.id in pendingShortcuts && pendingShortcuts[c.id] !== c.keys) changed[c.id] = pendingShortcuts[c.id];
   });
+  try {
+    await api('/settings', { method: 'PUT', body: { shortcuts: changed } });
+    toast('Shortcuts saved', 'success');
+    await loadShortcuts();
+  } catch (e) {
+    toast('Failed to save: ' + e.message, 'error');
+  }
 });
 
-$('#graph-notes').addEventListener('input', renderGraphPreview);
+// --- Shortcut Help ---
+function openShortcutHelp() {
+  const list = $('#shortcut-help-list');
+  list.innerHTML = '';
+  const rows = COMMANDS.filter(bindingFor).map(c => [bindingFor(c), c.label]);
+  rows.push(['1–9', 'Toggle builder chip by number (two digits past 9)'], ['Esc', 'Close']);
+  rows.forEach(([keys, label]) => {
+    const dt = document.createElement('dt');
+    const kbd = document.createElement('kbd');
+    kbd.textContent = keys;
+    dt.appendChild(kbd);
+    const dd = document.createElement('dd');
+    dd.textContent = label;
+    list.append(dt, dd);
+  });
+  $('#shortcut-help').classList.remove('hidden');
+}
+
+function closeShortcutHelp() {
+  $('#shortcut-help').classList.add('hidden');
+}
+
+$('#shortcut-help-close').addEventListener('click', closeShortcutHelp);
+$('#shortcut-help').addEventListener('click', (e) => {
+  if (e.target === $('#shortcut-help')) closeShortcutHelp();
+});
+$('#shortcut-help-settings').addEventListener('click', () => {
+  closeShortcutHelp();
+  navigateTo('settings');
+  $('#shortcut-list').scrollIntoView({ block: 'center' });
+});
 
-function renderGraphPreview() {
-  const { verdict, observations } = graphState;
-  const notes = $('#graph-notes').value.trim();
-  const preview = $('#graph-preview');
+// --- Command Palette ---
+// Searches commands, builders and saved templates; every word typed must
+// appear in the entry. Templates are fetched fresh each time it opens.
+let paletteItems = [];
+let paletteMatches = [];
+let paletteIndex = 0;
 
-  if (observations.length === 0) {
-    preview.textContent = 'Select observations to generate text...';
-    preview.classList.remove('has-content');
+async function togglePalette() {
+  if (!$('#palette').classList.contains('hidden')) {
+    closePalette();
     return;
   }
+  closeShortcutHelp();
+  paletteItems = paletteCommands();
+  $('#palette-input').value = '';
+  $('#palette').classList.remove('hidden');
+  $('#palette-input').focus();
+  renderPalette();
+
+  try {
+    const templates = await api('/templates');
+    if (!Array.isArray(templates) || $('#palette').classList.contains('hidden')) return;
+    paletteItems = [...paletteCommands(), ...templates.map(paletteTemplate).filter(Boolean)];
+    renderPalette();
+  } catch (e) { /* commands alone still work */ }
+}
+
+function closePalette() {
+  $('#palette').classList.add('hidden');
+}
 
-  const v = verdict === 'pass' ? 'PASS' : 'FAIL';
-  let text = `Verdict: ${v}\n\n`;
-  text += observations.join('. ') + '.';
+function paletteCommands() {
+  return [
+    ...COMMANDS.filter(c => c.id !== 'palette').map(c => ({ label: c.label, hint: bindingFor(c), run: c.run })),
+    ...builders.map(b => ({
+      label: `Builder: ${b.name}`,
+      hint: '',
+      run: () => { navigateTo('templates'); selectBuilder(b.task_type); },
+    })),
+  ];
+}
+
+function paletteTemplate(t) {
+  const builder = builders.find(b => b.task_type === t.task_type);
+  if (!builder) return null;
+  return {
+    label: `Template: ${t.name}`,
+    hint: builder.name,
+    run: () => { navigateTo('templates'); selectBuilder(t.task_type); useTemplate(t.task_type, t); },
+  };
+}
 
-  if (notes) text += `\n\n${notes}`;
+function renderPalette() {
+  const words = $('#palette-input').value.toLowerCase().split(/\s+/).filter(Boolean);
+  paletteMatches = paletteItems.filter(item => {
+    const text = `${item.label} ${item.hint}`.toLowerCase();
+    return words.every(w => text.includes(w));
+  });
+  paletteIndex = Math.min(paletteIndex, Math.max(paletteMatches.length - 1, 0));
+
+  const list = $('#palette-results');
+  list.innerHTML = '';
+  if (paletteMatches.length === 0) {
+    list.innerHTML = '<li class="palette-empty">No matches</li>';
+    return;
+  }
+  paletteMatches.forEach((item, i) => {
+    const li = document.createElement('li');
+    li.className = 'palette-item' + (i === paletteIndex ? ' active' : '');
+    const label = document.createElement('span');
+    label.textContent = item.label;
+    li.appendChild(label);
+    if (item.hint) {
+      const hint = document.createElement('kbd');
+      hint.textContent = item.hint;
+      li.appendChild(hint);
+    }
+    li.addEventListener('click', () => runPaletteItem(item));
+    list.appendChild(li);
+  });
+  list.children[paletteIndex].scrollIntoView({ block: 'nearest' });
+}
 
-  preview.textContent = text;
-  preview.classList.add('has-content');
+function runPaletteItem(item) {
+  closePalette();
+  item.run();
 }
 
-$('#graph-copy').addEventListener('click', () => {
-  const text = $('#graph-preview').textContent;
-  if (text && !text.includes('Select')) {
-    navigator.clipboard.writeText(text).then(() => toast('Copied!', 'success'));
+$('#palette-input').addEventListener('input', () => {
+  paletteIndex = 0;
+  renderPalette();
+});
+
+$('#palette-input').addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (paletteMatches.length === 0) return;
+    paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + paletteMatches.length) % paletteMatches.length;
+    renderPalette();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (paletteMatches[paletteIndex]) runPaletteItem(paletteMatches[paletteIndex]);
+  } else if (e.key === 'Escape') {
+    closePalette();
   }
 });
 
+$('#palette').addEventListener('click', (e) => {
+  if (e.target === $('#palette')) closePalette();
+});
+
 // --- Handshake Fix Bookmarklet ---
 const HS_CSS = `
   .main-content, .main-container, [class*="Container"], [class*="container"] {
@@ -397,8 +3304,20 @@ $('#copy-bookmarklet').addEventListener('click', () => {
 });
 
 // --- Init ---
-loadConfig();
-loadSettings();
+loadAccount().then(signedIn => {
+  if (!signedIn) return;
+  loadConfig();
+  loadSettings();
+  loadProjects();
+  loadActiveSession().then(renderFocus);
+  loadDashboard();
+  loadRecentSessions();
+  loadFocusToday();
+  loadBuilders();
+  loadShortcuts();
+  // Replay anything left from an offline spell where Background Sync isn't available
+  postToWorker({ type: 'queue-replay' });
+});
 
 // Register service worker
 if ('serviceWorker' in navigator) {
@@ -1,4 +1,4 @@
-const CACHE = 'rwpal-v4.1';
+const CACHE = 'rwpal-v5.21';
 const ASSETS = ['/', '/style.css', '/app.js', '/manifest.json'];
 
 self.addEventListener('install', e => {
@@ -17,7 +17,10 @@ self.addEventListener('activate', e => {
 
 self.addEventListener('fetch', e => {
   // Network first for API calls, cache first for assets
-  if (e.request.url.includes('/api/')) {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET' && url.pathname.startsWith('/api/sessions')) {
+    e.respondWith(sendOrQueue(e, url));
+  } else if (e.request.url.includes('/api/')) {
     e.respondWith(fetch(e.request).catch(() => new Response('{"error":"offline"}', {
       headers: { 'Content-Type': 'application/json' }
     })));
@@ -27,3 +30,205 @@ self.addEventListener('fetch', e => {
     );
   }
 });
+
+// Focus mode: the page asks for a notification at the end of each interval.
+// Notification Triggers fire even if the worker is stopped; otherwise hold the
+// worker open with a timer for as long as the browser allows.
+const FOCUS_TAG = 'focus-boundary';
+let focusPending = null;
+
+function cancelFocusNotification() {
+  if (focusPending) {
+    clearTimeout(focusPending.timer);
+    focusPending.resolve();
+    focusPending = null;
+  }
+  return self.registration.getNotifications({ tag: FOCUS_TAG, includeTriggered: false })
+    .then(list => list.forEach(n => n.close()));
+}
+
+function scheduleFocusNotification({ at, title, body }) {
+  const options = {
+    body,
+    tag: FOCUS_TAG,
+    renotify: true,
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    vibrate: [200, 100, 200],
+  };
+
+  return cancelFocusNotification().then(() => {
+    if ('showTrigger' in Notification.prototype && typeof TimestampTrigger !== 'undefined') {
+      return self.registration.showNotification(title, { ...options, showTrigger: new TimestampTrigger(at) });
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        focusPending = null;
+        resolve(self.registration.showNotification(title, options));
+      }, Math.max(0, at - Date.now()));
+      focusPending = { timer, resolve };
+    });
+  });
+}
+
+self.addEventListener('message', e => {
+  const msg = e.data || {};
+  if (msg.type === 'focus-schedule') e.waitUntil(scheduleFocusNotification(msg));
+  if (msg.type === 'focus-cancel') e.waitUntil(cancelFocusNotification());
+  if (msg.type === 'queue-replay') e.waitUntil(replayQueue());
+});
+
+self.addEventListener('notificationclick', e => {
+  e.notification.close();
+  e.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(list =>
+      list.length ? list[0].focus() : self.clients.openWindow('/')
+    )
+  );
+});
+
+// Offline queue: session changes made without a connection are kept in IndexedDB
+// and replayed in order once it returns (Background Sync where supported,
+// otherwise when the page next loads or goes online). Each carries the time it
+// was made in X-Client-Time so the server records when it really happened.
+// A timer started offline has no server id yet; it gets a "local-…" id that
+// later requests use and that is swapped for the real one during replay.
+// A request the server keeps failing (5xx, or 401 while signed out) is retried
+// on later replays and dropped after MAX_ATTEMPTS, so it can't hold up the rest.
+const QUEUE_DB = 'rwpal-offline';
+const SYNC_TAG = 'rwpal-replay';
+const LOCAL_ID = /\/api\/sessions\/(local-[\w-]+)/;
+const MAX_ATTEMPTS = 5;
+let replaying = null;
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(QUEUE_DB, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('requests', { keyPath: 'seq', autoIncrement: true });
+      req.result.createObjectStore('ids');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function withStore(name, mode, fn) {
+  return openQueue().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => { db.close(); resolve(req ? req.result : undefined); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  }));
+}
+
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function notifyClients(msg) {
+  return self.clients.matchAll({ type: 'window' }).then(list => list.forEach(c => c.postMessage(msg)));
+}
+
+async function sendOrQueue(e, url) {
+  const path = url.pathname + url.search;
+  const entry = {
+    method: e.request.method,
+    path,
+    body: await e.request.clone().text(),
+    client_time: new Date().toISOString(),
+  };
+
+  // Replay queued changes first so the server sees the same order we did. If
+  // some are still left while the server answers, they are ones it keeps
+  // failing and retrying on their own; this doesn't wait behind them. A change
+  // to a session that only exists locally has to follow its offline start.
+  const pending = await withStore('requests', 'readonly', store => store.count());
+  if (pending) await replayQueue();
+  if (!LOCAL_ID.test(path)) {
+    try {
+      return await fetch(e.request);
+    } catch (err) { /* offline: queue it below */ }
+  }
+
+  if (entry.method === 'POST' && url.pathname === '/api/sessions') {
+    entry.local_id = 'local-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+  await withStore('requests', 'readwrite', store => store.add(entry));
+  if (self.registration.sync) self.registration.sync.register(SYNC_TAG).catch(() => {});
+
+  return jsonResponse({ queued: true, id: entry.local_id, client_time: entry.client_time }, 202);
+}
+
+// Resolves to how many requests are still waiting
+function replayQueue() {
+  if (!replaying) replaying = drainQueue().finally(() => { replaying = null; });
+  return replaying;
+}
+
+async function drainQueue() {
+  const entries = await withStore('requests', 'readonly', store => store.getAll());
+  let replayed = 0;
+  const rejected = [];
+  const ids = {};
+
+  for (const entry of entries) {
+    let path = entry.path;
+    const local = path.match(LOCAL_ID);
+    if (local) {
+      const id = await withStore('ids', 'readonly', store => store.get(local[1]));
+      if (id == null) {
+        // The offline start it depends on was refused, so this can't apply either
+        await withStore('requests', 'readwrite', store => store.delete(entry.seq));
+        continue;
+      }
+      path = path.replace(local[1], id);
+    }
+
+    let res;
+    try {
+      res = await fetch(path, {
+        method: entry.method,
+        headers: { 'Content-Type': 'application/json', 'X-Client-Time': entry.client_time },
+        body: entry.body || undefined,
+      });
+    } catch (err) {
+      break; // still offline; keep the rest in order for next time
+    }
+    const body = await res.json().catch(() => ({}));
+    let error = res.ok ? null : body.error || res.statusText;
+    // Server trouble, or signed out: keep it and the rest for the next replay,
+    // until this one has failed too often
+    if (res.status >= 500 || res.status === 401) {
+      const attempts = (entry.attempts || 0) + 1;
+      if (attempts < MAX_ATTEMPTS) {
+        await withStore('requests', 'readwrite', store => store.put({ ...entry, attempts }));
+        break;
+      }
+      error = `Gave up after ${attempts} tries (${error})`;
+    }
+
+    if (entry.local_id) {
+      ids[entry.local_id] = res.ok ? body.id : null;
+      await withStore('ids', 'readwrite', store => store.put(ids[entry.local_id], entry.local_id));
+    }
+    if (res.ok) replayed++;
+    else rejected.push({ method: entry.method, path: entry.path, error });
+    await withStore('requests', 'readwrite', store => store.delete(entry.seq));
+  }
+
+  const remaining = await withStore('requests', 'readonly', store => store.count());
+  // Nothing queued refers to a local id any more, and the message below tells
+  // the page the real ones
+  if (!remaining) await withStore('ids', 'readwrite', store => store.clear());
+  if (replayed || rejected.length) await notifyClients({ type: 'queue-synced', replayed, rejected, ids, remaining });
+  return remaining;
+}
+
+self.addEventListener('sync', e => {
+  if (e.tag !== SYNC_TAG) return;
+  // Rejecting tells the browser to try again later
+  e.waitUntil(replayQueue().then(remaining => {
+    if (remaining) throw new Error(`${remaining} queued requests still waiting`);
+  }));
+});
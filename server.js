@@ -2,11 +2,24 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const db = require('./db');
+const { isValidTimeZone, localDateTime, todayIn, addDays, streaks } = require('./timezone');
+const { LOCALE, TONES, validateBuilder } = require('./builders');
+const { definitionOf, validateSettings, parseSetting, readSettings, publicSchema } = require('./settings');
+const { scheduleBackups } = require('./backup');
+const { parseSessionFile } = require('./importers');
+const { renderCalendar } = require('./calendar');
+const { renderInvoiceHtml, renderInvoicePdf } = require('./invoices');
+const { DUMMY_HASH, hashPassword, verifyPassword, newToken, hashToken, safeEqual, parseCookies } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+// Imports carry a whole account's history; everything else stays small. The
+// import routes take importBody themselves, after the sign-in check, so only
+// a signed-in user can make the server read that much
+const jsonBody = express.json();
+const importBody = express.json({ limit: '25mb' });
+app.use((req, res, next) => (req.path.startsWith('/api/import') ? next() : jsonBody(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── Health ──────────────────────────────────────────────
@@ -14,231 +27,1057 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// ─── Auth ────────────────────────────────────────────────
+// Two modes. By default everyone has an account (username + password); the
+// first account can be created freely and adopts data recorded before accounts
+// existed, later ones need SIGNUP_CODE (sign-ups are closed without it). With
+// AUTH_TOKEN set, the deployment has a single shared account instead and signing
+// in takes that token, also accepted as "Authorization: Bearer <token>".
+// Either way the browser holds an HttpOnly cookie; every /api route except
+// health and these needs it.
+const AUTH_TOKEN = process.env.AUTH_TOKEN || '';
+const SIGNUP_CODE = process.env.SIGNUP_CODE || '';
+const SHARED_USERNAME = 'shared';
+const SESSION_COOKIE = 'rwp_session';
+const SESSION_DAYS = 30;
+const USERNAME = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD = 8;
+
+// Only behind a reverse proxy (Railway sets this in railway.toml): req.ip and
+// req.secure then come from its X-Forwarded-* headers. Without one those
+// headers are whatever the client sent, so they are ignored. Takes what
+// Express accepts: a hop count, true, or addresses/subnets to trust.
+function trustProxySetting(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+// Admins may change what every account shares: the first account, or the one
+// shared account in token mode
+function isAdmin(user) {
+  return !!AUTH_TOKEN || user.is_admin === 1;
+}
+
+function publicUser(user) {
+  return user && { id: user.id, username: user.username, created_at: user.created_at, admin: isAdmin(user) };
+}
+
+function signupMode() {
+  if (AUTH_TOKEN) return 'closed';
+  if (!db.prepare('SELECT 1 FROM users LIMIT 1').get()) return 'open';
+  return SIGNUP_CODE ? 'code' : 'closed';
+}
+
+// Data from before accounts existed goes to the first account
+function claimUnownedRows(userId) {
+  ['projects', 'sessions', 'templates', 'settings'].forEach(table => {
+    db.prepare(`UPDATE ${table} SET user_id = ? WHERE user_id IS NULL`).run(userId);
+  });
+}
+
+function createUser(username, passwordHash) {
+  return db.transaction(() => {
+    const first = !db.prepare('SELECT 1 FROM users LIMIT 1').get();
+    const id = db.prepare('INSERT INTO users (username, password_hash, is_admin) VALUES (?, ?, ?)')
+      .run(username, passwordHash, first ? 1 : 0).lastInsertRowid;
+    if (first) claimUnownedRows(id);
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+  })();
+}
+
+function sharedUser() {
+  return db.prepare('SELECT * FROM users WHERE username = ?').get(SHARED_USERNAME)
+    || createUser(SHARED_USERNAME, '');
+}
+
+function startAuthSession(req, res, user) {
+  const token = newToken();
+  const expires = new Date(Date.now() + SESSION_DAYS * 86400000);
+  db.prepare("DELETE FROM auth_sessions WHERE expires_at < datetime('now')").run();
+  db.prepare('INSERT INTO auth_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)')
+    .run(user.id, hashToken(token), toSqlTime(expires.toISOString()));
+  res.setHeader('Set-Cookie', [
+    `${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax',
+    `Max-Age=${SESSION_DAYS * 86400}`, ...(req.secure ? ['Secure'] : []),
+  ].join('; '));
+}
+
+function endAuthSession(req, res) {
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (token) db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(hashToken(token));
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+function currentUser(req) {
+  const bearer = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (AUTH_TOKEN && bearer && safeEqual(bearer[1], AUTH_TOKEN)) return sharedUser();
+
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (!token) return null;
+  const user = db.prepare(`
+    SELECT u.* FROM auth_sessions a
+    JOIN users u ON u.id = a.user_id
+    WHERE a.token_hash = ? AND a.expires_at > datetime('now')
+  `).get(hashToken(token));
+  // Switching a deployment to token mode signs out the individual accounts
+  if (user && AUTH_TOKEN && user.username !== SHARED_USERNAME) return null;
+  return user || null;
+}
+
+// Failed sign-ins per address; a handful per quarter hour before it is refused
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const loginFailures = new Map();
+
+function loginBlocked(req) {
+  const entry = loginFailures.get(req.ip);
+  if (entry && entry.resetAt < Date.now()) loginFailures.delete(req.ip);
+  return (loginFailures.get(req.ip) || { count: 0 }).count >= LOGIN_MAX_FAILURES;
+}
+
+function recordLoginFailure(req) {
+  const entry = loginFailures.get(req.ip) || { count: 0, resetAt: Date.now() + LOGIN_WINDOW_MS };
+  entry.count++;
+  loginFailures.set(req.ip, entry);
+}
+
+// Addresses that never come back would otherwise stay in the map for good
+function pruneLoginFailures() {
+  const now = Date.now();
+  loginFailures.forEach((entry, ip) => {
+    if (entry.resetAt < now) loginFailures.delete(ip);
+  });
+}
+setInterval(pruneLoginFailures, LOGIN_WINDOW_MS).unref();
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    mode: AUTH_TOKEN ? 'token' : 'accounts',
+    signup: signupMode(),
+    user: publicUser(currentUser(req)),
+  });
+});
+
+app.post('/api/auth/register', (req, res) => {
+  const { username, password, code } = req.body;
+  const mode = signupMode();
+  if (mode === 'closed') return res.status(403).json({ error: 'Sign-ups are closed on this server' });
+  if (mode === 'code' && !(typeof code === 'string' && safeEqual(code, SIGNUP_CODE))) {
+    return res.status(403).json({ error: 'Wrong sign-up code' });
+  }
+  if (typeof username !== 'string' || !USERNAME.test(username) || username.toLowerCase() === SHARED_USERNAME) {
+    return res.status(400).json({ error: 'Username must be 3–32 letters, digits, dots, dashes or underscores' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD} characters` });
+  }
+  if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+    return res.status(409).json({ error: 'That username is taken' });
+  }
+
+  const user = createUser(username, hashPassword(password));
+  startAuthSession(req, res, user);
+  res.status(201).json(publicUser(user));
+});
+
+app.post('/api/auth/login', (req, res) => {
+  if (loginBlocked(req)) return res.status(429).json({ error: 'Too many failed sign-ins, try again later' });
+
+  if (AUTH_TOKEN) {
+    const { token } = req.body;
+    if (typeof token !== 'string' || !safeEqual(token, AUTH_TOKEN)) {
+      recordLoginFailure(req);
+      return res.status(401).json({ error: 'Wrong access token' });
+    }
+    const user = sharedUser();
+    startAuthSession(req, res, user);
+    return res.json(publicUser(user));
+  }
+
+  const { username, password } = req.body;
+  const user = typeof username === 'string' && db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  const ok = verifyPassword(typeof password === 'string' ? password : '', user ? user.password_hash : DUMMY_HASH);
+  if (!user || !ok) {
+    recordLoginFailure(req);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  startAuthSession(req, res, user);
+  res.json(publicUser(user));
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endAuthSession(req, res);
+  res.json({ ok: true });
+});
+
+// Everything below belongs to the signed-in user. The calendar feed is read by
+// calendar apps, which can't sign in; its link carries its own token instead.
+app.use('/api', (req, res, next) => {
+  if (req.path === '/calendar.ics') return next();
+  const user = currentUser(req);
+  if (!user) return res.status(401).json({ error: 'Sign in required' });
+  req.user = user;
+  next();
+});
+
+// Changing the password signs out every other device
+app.put('/api/auth/password', (req, res) => {
+  if (AUTH_TOKEN) return res.status(400).json({ error: 'The shared account has no password; change AUTH_TOKEN instead' });
+  const { current, password } = req.body;
+  if (!verifyPassword(typeof current === 'string' ? current : '', req.user.password_hash)) {
+    return res.status(403).json({ error: 'Current password is wrong' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD} characters` });
+  }
+  db.transaction(() => {
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), req.user.id);
+    db.prepare('DELETE FROM auth_sessions WHERE user_id = ?').run(req.user.id);
+  })();
+  startAuthSession(req, res, req.user);
+  res.json({ ok: true });
+});
+
 // ─── Config (env + DB merged, read-only) ─────────────────
+// The integration URLs default to HANDSHAKE_PROJECT_URL / MULTIMANGO_URL
 app.get('/api/config', (req, res) => {
-  const overrides = {};
-  db.prepare('SELECT key, value FROM settings').all()
-    .forEach(r => { overrides[r.key] = r.value; });
-
+  const settings = userSettings(req.user.id);
   res.json({
-    handshake_url: overrides.handshake_url || process.env.HANDSHAKE_PROJECT_URL || '',
-    multimango_url: overrides.multimango_url || process.env.MULTIMANGO_URL || '',
+    handshake_url: settings.handshake_url,
+    multimango_url: settings.multimango_url,
   });
 });
 
 // ─── Settings (DB store, read/write) ─────────────────────
+// Keys, types and defaults are declared in settings.js. GET returns every
+// setting typed, with defaults filled in; PUT rejects unknown keys and bad
+// values with an error per field, and stores nothing unless all are valid.
+function userSettings(userId) {
+  return readSettings(db.prepare('SELECT key, value FROM settings WHERE user_id = ?').all(userId));
+}
+
+function getSetting(userId, key) {
+  const row = db.prepare('SELECT value FROM settings WHERE user_id = ? AND key = ?').get(userId, key);
+  return parseSetting(definitionOf(key), row && row.value);
+}
+
 app.get('/api/settings', (req, res) => {
-  const rows = db.prepare('SELECT key, value FROM settings').all();
-  const out = {};
-  rows.forEach(r => { out[r.key] = r.value; });
-  res.json(out);
+  res.json(userSettings(req.user.id));
+});
+
+app.get('/api/settings/schema', (req, res) => {
+  res.json(publicSchema());
 });
 
 app.put('/api/settings', (req, res) => {
-  const entries = req.body;
-  if (!entries || typeof entries !== 'object') {
-    return res.status(400).json({ error: 'Expected object of key/value pairs' });
+  const { values, errors } = validateSettings(req.body);
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: Object.values(errors).join('; '), fields: errors });
   }
 
   const upsert = db.prepare(`
-    INSERT INTO settings (key, value, updated_at) VALUES (?, ?, datetime('now'))
-    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    INSERT INTO settings (user_id, key, value, updated_at) VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(user_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
   `);
+  const clear = db.prepare('DELETE FROM settings WHERE user_id = ? AND key = ?');
 
-  const tx = db.transaction((pairs) => {
-    for (const [k, v] of Object.entries(pairs)) {
-      upsert.run(k, String(v || ''));
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null) clear.run(req.user.id, key);
+      else upsert.run(req.user.id, key, value);
     }
-  });
+  })();
+  res.json(userSettings(req.user.id));
+});
+
+// ─── Projects ───────────────────────────────────────────
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
 
-  tx(entries);
+function validateProject(body, partial) {
+  const { name, hourly_rate, color, min_rationale_chars, locale, tone } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  }
+  if (hourly_rate !== undefined && !(Number(hourly_rate) >= 0)) {
+    return 'Hourly rate must be a non-negative number';
+  }
+  if (color !== undefined && !HEX_COLOR.test(color)) {
+    return 'Color must be a hex value like #f97316';
+  }
+  if (min_rationale_chars !== undefined && !(Number.isInteger(min_rationale_chars) && min_rationale_chars >= 0)) {
+    return 'Minimum rationale length must be a non-negative whole number';
+  }
+  // Empty locale/tone leave each builder's own wording in place
+  if (locale !== undefined && locale !== '' && !LOCALE.test(locale)) {
+    return 'Locale must be a code like "es" or "pt-BR"';
+  }
+  if (tone !== undefined && tone !== '' && tone !== 'standard' && !TONES.includes(tone)) {
+    return `Tone must be one of standard, ${TONES.join(', ')}`;
+  }
+  return null;
+}
+
+app.get('/api/projects', (req, res) => {
+  const rows = db.prepare(`
+    SELECT * FROM projects
+    WHERE user_id = ? AND (archived = 0 OR ? = 1)
+    ORDER BY archived ASC, name COLLATE NOCASE ASC
+  `).all(req.user.id, req.query.all ? 1 : 0);
+  res.json(rows);
+});
+
+app.post('/api/projects', (req, res) => {
+  const error = validateProject(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  const { name, hourly_rate, color, min_rationale_chars, locale, tone } = req.body;
+  const info = db.prepare(`
+    INSERT INTO projects (user_id, name, hourly_rate, color, min_rationale_chars, locale, tone)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(req.user.id, name.trim(), Number(hourly_rate) || 0, color || '#f97316', min_rationale_chars || 0, locale || '', tone || '');
+  const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(info.lastInsertRowid);
+  res.status(201).json(project);
+});
+
+app.put('/api/projects/:id', (req, res) => {
+  const existing = db.prepare('SELECT * FROM projects WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+  if (!existing) return res.status(404).json({ error: 'Project not found' });
+
+  const error = validateProject(req.body, true);
+  if (error) return res.status(400).json({ error });
+
+  const { name, hourly_rate, color, archived, min_rationale_chars, locale, tone } = req.body;
+  db.prepare(`
+    UPDATE projects SET name = ?, hourly_rate = ?, color = ?, archived = ?, min_rationale_chars = ?, locale = ?, tone = ?
+    WHERE id = ?
+  `).run(
+    name !== undefined ? name.trim() : existing.name,
+    hourly_rate !== undefined ? Number(hourly_rate) : existing.hourly_rate,
+    color !== undefined ? color : existing.color,
+    archived !== undefined ? (archived ? 1 : 0) : existing.archived,
+    min_rationale_chars !== undefined ? min_rationale_chars : existing.min_rationale_chars,
+    locale !== undefined ? locale : existing.locale,
+    tone !== undefined ? tone : existing.tone,
+    existing.id
+  );
+  res.json(db.prepare('SELECT * FROM projects WHERE id = ?').get(existing.id));
+});
+
+// Sessions keep their time but lose the attribution (ON DELETE SET NULL)
+app.delete('/api/projects/:id', (req, res) => {
+  db.prepare('DELETE FROM projects WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
   res.json({ ok: true });
 });
 
 // ─── Sessions ────────────────────────────────────────────
+// Time on breaks is never billable. An open break (paused session) runs until now,
+// and a running session runs until now, so these work for live and finished rows alike.
+const BREAK_SECONDS = `(
+  SELECT COALESCE(SUM((julianday(COALESCE(b.end_time, datetime('now'))) - julianday(b.start_time)) * 86400), 0)
+  FROM session_breaks b WHERE b.session_id = s.id
+)`;
+const WORKED_SECONDS = `((julianday(COALESCE(s.end_time, datetime('now'))) - julianday(s.start_time)) * 86400 - ${BREAK_SECONDS})`;
+
 app.get('/api/sessions', (req, res) => {
   const { limit } = req.query;
   const rows = db.prepare(`
-    SELECT s.*,
+    SELECT s.*, p.name AS project_name, p.color AS project_color,
       CASE WHEN s.end_time IS NOT NULL
-        THEN (julianday(s.end_time) - julianday(s.start_time)) * 86400
+        THEN ${WORKED_SECONDS}
         ELSE NULL
-      END AS duration_seconds
+      END AS duration_seconds,
+      ${BREAK_SECONDS} AS break_seconds
     FROM sessions s
+    LEFT JOIN projects p ON p.id = s.project_id
+    WHERE s.user_id = ?
     ORDER BY s.start_time DESC
     LIMIT ?
-  `).all(limit ? Number(limit) : 50);
+  `).all(req.user.id, limit ? Number(limit) : 50);
   res.json(rows);
 });
 
-app.get('/api/sessions/active', (req, res) => {
-  const session = db.prepare(`
-    SELECT s.*,
-      (julianday(datetime('now')) - julianday(s.start_time)) * 86400 AS elapsed_seconds
+function getActiveSession(userId, id = null) {
+  return db.prepare(`
+    SELECT s.*, p.name AS project_name, p.color AS project_color,
+      ${WORKED_SECONDS} AS elapsed_seconds,
+      ${BREAK_SECONDS} AS break_seconds,
+      EXISTS (SELECT 1 FROM session_breaks b WHERE b.session_id = s.id AND b.end_time IS NULL) AS paused
     FROM sessions s
-    WHERE s.end_time IS NULL
+    LEFT JOIN projects p ON p.id = s.project_id
+    WHERE s.end_time IS NULL AND s.user_id = ? AND (? IS NULL OR s.id = ?)
     ORDER BY s.start_time DESC
     LIMIT 1
-  `).get();
-  res.json(session || null);
+  `).get(userId, id, id);
+}
+
+app.get('/api/sessions/active', (req, res) => {
+  const session = getActiveSession(req.user.id);
+  res.json(session ? { ...session, idle: checkIdle(session) } : null);
 });
 
+// Sessions store times the way SQLite's datetime('now') writes them: UTC, "YYYY-MM-DD HH:MM:SS"
+function toSqlTime(value) {
+  const d = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(d.getTime())) return null;
+  return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function sqlNow() {
+  return toSqlTime(new Date().toISOString());
+}
+
+// When the action actually happened. Requests replayed from the offline queue carry
+// the device's clock in X-Client-Time; anything missing, invalid or ahead of the
+// server is treated as now.
+function requestTime(req) {
+  const now = sqlNow();
+  const at = toSqlTime(req.get('X-Client-Time'));
+  return at && at < now ? at : now;
+}
+
+// The caller's own session row; anyone else's looks the same as a missing one
+function ownSession(req) {
+  return db.prepare('SELECT * FROM sessions WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+}
+
+// Billed sessions stay as invoiced, so an invoice always matches what it bills
+const INVOICED_SESSION = 'Session is on an invoice; void the invoice to change it';
+
+function ownsRow(table, id, userId) {
+  return !!db.prepare(`SELECT 1 FROM ${table} WHERE id = ? AND user_id = ?`).get(id, userId);
+}
+
+function getSession(id) {
+  return db.prepare(`
+    SELECT s.*, p.name AS project_name, p.color AS project_color,
+      CASE WHEN s.end_time IS NOT NULL
+        THEN ${WORKED_SECONDS}
+        ELSE NULL
+      END AS duration_seconds,
+      ${BREAK_SECONDS} AS break_seconds
+    FROM sessions s
+    LEFT JOIN projects p ON p.id = s.project_id
+    WHERE s.id = ?
+  `).get(id);
+}
+
+// A running session counts as lasting until now. Only the user's own sessions clash.
+function findOverlap(userId, start, end, { excludeId = 0, skipOpen = false } = {}) {
+  return db.prepare(`
+    SELECT id, start_time, end_time FROM sessions
+    WHERE user_id = ? AND id != ?
+      AND start_time < ?
+      AND COALESCE(end_time, ?) > ?
+      AND (? = 0 OR end_time IS NOT NULL)
+    ORDER BY start_time ASC
+    LIMIT 1
+  `).get(userId, excludeId, end || sqlNow(), sqlNow(), start, skipOpen ? 1 : 0);
+}
+
+function validateSpan(start, end) {
+  const now = sqlNow();
+  if (start > now || (end && end > now)) return 'Times cannot be in the future';
+  if (end && end <= start) return 'End time must be after start time';
+  return null;
+}
+
+// Breaks and focus intervals lie within their session; only a running one can
+// hold something still open
+function outsideSession(start, end, session) {
+  if (start < session.start_time) return 'start_time is before the session started';
+  if (session.end_time && (!end || end > session.end_time)) return 'end_time is after the session ended';
+  return null;
+}
+
 app.post('/api/sessions', (req, res) => {
-  const { task_type } = req.body;
-  db.prepare("UPDATE sessions SET end_time = datetime('now') WHERE end_time IS NULL").run();
-  const info = db.prepare('INSERT INTO sessions (task_type) VALUES (?)').run(task_type || 'general');
-  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(info.lastInsertRowid);
-  res.status(201).json(session);
+  const { task_type, project_id, notes } = req.body;
+  if (task_type != null && (typeof task_type !== 'string' || !task_type.trim())) {
+    return res.status(400).json({ error: 'task_type must be a non-empty string' });
+  }
+  if (project_id != null && !ownsRow('projects', project_id, req.user.id)) {
+    return res.status(400).json({ error: 'Unknown project' });
+  }
+
+  const start = req.body.start_time != null ? toSqlTime(req.body.start_time) : requestTime(req);
+  const end = req.body.end_time != null ? toSqlTime(req.body.end_time) : null;
+  if (!start || (req.body.end_time != null && !end)) {
+    return res.status(400).json({ error: 'Invalid start_time or end_time' });
+  }
+  const spanError = validateSpan(start, end);
+  if (spanError) return res.status(400).json({ error: spanError });
+
+  // A completed entry is slotted into history; a running one takes over from any open timer
+  const open = end ? null : db.prepare('SELECT id, start_time FROM sessions WHERE end_time IS NULL AND user_id = ?')
+    .all(req.user.id);
+  if (open && open.some(o => o.start_time >= start)) {
+    return res.status(409).json({ error: 'Start time is before the running session began' });
+  }
+  const overlap = findOverlap(req.user.id, start, end, { skipOpen: !end });
+  if (overlap) {
+    return res.status(409).json({ error: `Overlaps session #${overlap.id}`, overlap });
+  }
+
+  const create = db.transaction(() => {
+    // A forgotten timer ends at its last activity rather than gaining the idle hours
+    for (const o of open || []) {
+      const idle = checkIdle(getActiveSession(req.user.id, o.id));
+      closeSession(o.id, idle ? idle.last_activity_at : start);
+    }
+    return db.prepare(`
+      INSERT INTO sessions (user_id, task_type, project_id, start_time, end_time, notes, last_activity_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(req.user.id, task_type != null ? task_type.trim() : 'general', project_id ?? null, start, end, typeof notes === 'string' ? notes : '', end || requestTime(req));
+  });
+
+  const info = create();
+  res.status(201).json(getSession(info.lastInsertRowid));
+});
+
+app.patch('/api/sessions/:id', (req, res) => {
+  const existing = ownSession(req);
+  if (!existing) return res.status(404).json({ error: 'Session not found' });
+  if (existing.invoice_id) return res.status(409).json({ error: INVOICED_SESSION });
+
+  const { task_type, task_count, notes, project_id } = req.body;
+  const start = req.body.start_time !== undefined ? toSqlTime(req.body.start_time) : existing.start_time;
+  const end = req.body.end_time !== undefined ? toSqlTime(req.body.end_time) : existing.end_time;
+  if (!start || (req.body.end_time !== undefined && !end)) {
+    return res.status(400).json({ error: 'Invalid start_time or end_time' });
+  }
+  if (task_type !== undefined && (typeof task_type !== 'string' || !task_type.trim())) {
+    return res.status(400).json({ error: 'task_type must be a non-empty string' });
+  }
+  if (task_count !== undefined && !(Number.isInteger(task_count) && task_count >= 0)) {
+    return res.status(400).json({ error: 'task_count must be a non-negative integer' });
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    return res.status(400).json({ error: 'notes must be a string' });
+  }
+  if (project_id != null && !ownsRow('projects', project_id, req.user.id)) {
+    return res.status(400).json({ error: 'Unknown project' });
+  }
+
+  const spanError = validateSpan(start, end);
+  if (spanError) return res.status(400).json({ error: spanError });
+  const overlap = findOverlap(req.user.id, start, end, { excludeId: existing.id });
+  if (overlap) {
+    return res.status(409).json({ error: `Overlaps session #${overlap.id}`, overlap });
+  }
+
+  const update = db.transaction(() => {
+    db.prepare(`
+      UPDATE sessions SET start_time = ?, end_time = ?, task_type = ?, task_count = ?, notes = ?, project_id = ?
+      WHERE id = ?
+    `).run(
+      start,
+      end,
+      task_type !== undefined ? task_type.trim() : existing.task_type,
+      task_count !== undefined ? task_count : existing.task_count,
+      notes !== undefined ? notes : existing.notes,
+      project_id !== undefined ? project_id : existing.project_id,
+      existing.id
+    );
+
+    // Keep breaks inside the edited span so they never subtract time the session doesn't have
+    if (end) {
+      db.prepare('UPDATE session_breaks SET end_time = ? WHERE session_id = ? AND (end_time IS NULL OR end_time > ?)')
+        .run(end, existing.id, end);
+    }
+    db.prepare('UPDATE session_breaks SET start_time = ? WHERE session_id = ? AND start_time < ?')
+      .run(start, existing.id, start);
+    db.prepare('DELETE FROM session_breaks WHERE session_id = ? AND end_time IS NOT NULL AND end_time <= start_time')
+      .run(existing.id);
+  });
+
+  update();
+  res.json(getSession(existing.id));
+});
+
+app.post('/api/sessions/:id/pause', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (session.end_time) return res.status(409).json({ error: 'Session is not running' });
+  if (db.prepare('SELECT 1 FROM session_breaks WHERE session_id = ? AND end_time IS NULL').get(session.id)) {
+    return res.status(409).json({ error: 'Session is already paused' });
+  }
+
+  // A replayed pause can't start before the session or inside an earlier break
+  const lastBreak = db.prepare('SELECT MAX(end_time) AS end_time FROM session_breaks WHERE session_id = ?').get(session.id);
+  const at = [requestTime(req), session.start_time, lastBreak.end_time || ''].sort().pop();
+  db.prepare('INSERT INTO session_breaks (session_id, start_time) VALUES (?, ?)').run(session.id, at);
+  touchSession(session.id, at);
+  res.json(getActiveSession(req.user.id, session.id));
+});
+
+app.post('/api/sessions/:id/resume', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const at = requestTime(req);
+  const info = db.prepare('UPDATE session_breaks SET end_time = MAX(?, start_time) WHERE session_id = ? AND end_time IS NULL')
+    .run(at, session.id);
+  if (info.changes === 0) return res.status(409).json({ error: 'Session is not paused' });
+  touchSession(session.id, at);
+  res.json(getActiveSession(req.user.id, session.id));
+});
+
+app.get('/api/sessions/:id/breaks', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const rows = db.prepare(`
+    SELECT b.*,
+      (julianday(COALESCE(b.end_time, datetime('now'))) - julianday(b.start_time)) * 86400 AS duration_seconds
+    FROM session_breaks b
+    WHERE b.session_id = ?
+    ORDER BY b.start_time ASC
+  `).all(session.id);
+  res.json(rows);
 });
 
 app.post('/api/sessions/:id/stop', (req, res) => {
-  db.prepare("UPDATE sessions SET end_time = datetime('now') WHERE id = ? AND end_time IS NULL").run(req.params.id);
+  const existing = ownSession(req);
+  if (!existing) return res.status(404).json({ error: 'Session not found' });
+  // Already stopped (e.g. auto-stopped while the device was offline) is left as is
+  const at = requestTime(req);
+  closeSession(existing.id, at > existing.start_time ? at : existing.start_time);
   const session = db.prepare(`
     SELECT s.*,
-      (julianday(s.end_time) - julianday(s.start_time)) * 86400 AS duration_seconds
+      ${WORKED_SECONDS} AS duration_seconds
     FROM sessions s WHERE id = ?
-  `).get(req.params.id);
+  `).get(existing.id);
   res.json(session);
 });
 
+// Each +1 is kept as a timestamped event so throughput can be measured, not just counted
+// A task is timed from the one before it, so it has to land while its session
+// ran. One stamped after the session stopped is refused; one queued offline
+// while the session was running still counts when it's replayed later.
+function endedBefore(session, at) {
+  return !!session.end_time && at > session.end_time;
+}
+
 app.post('/api/sessions/:id/increment', (req, res) => {
-  db.prepare('UPDATE sessions SET task_count = task_count + 1 WHERE id = ?').run(req.params.id);
-  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(req.params.id);
+  const { label, template_id } = req.body || {};
+  const existing = ownSession(req);
+  if (!existing) return res.status(404).json({ error: 'Session not found' });
+  if (existing.invoice_id) return res.status(409).json({ error: INVOICED_SESSION });
+  if (template_id != null && !ownsRow('templates', template_id, req.user.id)) {
+    return res.status(400).json({ error: 'Unknown template' });
+  }
+
+  const at = requestTime(req);
+  if (endedBefore(existing, at)) return res.status(409).json({ error: 'Session is not running' });
+  db.transaction(() => {
+    db.prepare('INSERT INTO task_events (session_id, template_id, label, created_at) VALUES (?, ?, ?, ?)')
+      .run(existing.id, template_id ?? null, typeof label === 'string' ? label.trim() : '', at);
+    db.prepare('UPDATE sessions SET task_count = task_count + 1 WHERE id = ?').run(existing.id);
+  })();
+  touchSession(existing.id, at);
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(existing.id);
   res.json(session);
 });
 
+app.get('/api/sessions/:id/tasks', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json(taskTimings('s.id = ?', [session.id]));
+});
+
 app.delete('/api/sessions/:id', (req, res) => {
-  db.prepare('DELETE FROM sessions WHERE id = ?').run(req.params.id);
+  const session = ownSession(req);
+  if (session && session.invoice_id) return res.status(409).json({ error: INVOICED_SESSION });
+  db.prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
   res.json({ ok: true });
 });
 
+// ─── Idle Detection ─────────────────────────────────────
+// Activity is anything the user does to a running session: start, +1 task, pause,
+// resume, or a heartbeat the client sends while the app is in use.
+const AUTO_STOP_INTERVAL_MS = 5 * 60 * 1000;
+
+function sqlTimeToMs(str) {
+  return Date.parse(str.replace(' ', 'T') + 'Z');
+}
+
+// Replayed offline actions arrive late and out of real time; activity only moves forward
+function touchSession(id, at = sqlNow()) {
+  db.prepare('UPDATE sessions SET last_activity_at = MAX(COALESCE(last_activity_at, start_time), ?) WHERE id = ? AND end_time IS NULL')
+    .run(at, id);
+}
+
+// Ends a session at `at`, closing any open break at the same moment and pulling
+// breaks that started later back inside the session.
+function closeSession(id, at) {
+  db.transaction(() => {
+    db.prepare('UPDATE session_breaks SET end_time = ? WHERE session_id = ? AND (end_time IS NULL OR end_time > ?)')
+      .run(at, id, at);
+    db.prepare('DELETE FROM session_breaks WHERE session_id = ? AND end_time <= start_time').run(id);
+    db.prepare('UPDATE sessions SET end_time = ? WHERE id = ? AND end_time IS NULL').run(at, id);
+  })();
+}
+
+// Returns why a running session looks forgotten, or null. Paused sessions are
+// not idle (break time is already excluded) but still count toward the max length.
+// The limits are the session owner's settings.
+function checkIdle(session) {
+  if (!session || session.end_time) return null;
+
+  const timeoutMinutes = getSetting(session.user_id, 'idle_timeout_minutes');
+  const maxHours = getSetting(session.user_id, 'max_session_hours');
+  const lastActivity = session.last_activity_at || session.start_time;
+  const now = Date.now();
+  const idleSeconds = (now - sqlTimeToMs(lastActivity)) / 1000;
+  const lengthSeconds = (now - sqlTimeToMs(session.start_time)) / 1000;
+
+  let reason = null;
+  if (maxHours > 0 && lengthSeconds > maxHours * 3600) reason = 'max_length';
+  else if (!session.paused && timeoutMinutes > 0 && idleSeconds > timeoutMinutes * 60) reason = 'inactive';
+  if (!reason) return null;
+
+  return { reason, last_activity_at: lastActivity, idle_seconds: Math.round(idleSeconds) };
+}
+
+// Runs for every user; checkIdle applies each owner's max length (0 turns it off)
+function autoStopForgottenSessions() {
+  const open = db.prepare('SELECT id, user_id FROM sessions WHERE end_time IS NULL').all();
+  for (const { id, user_id } of open) {
+    const idle = checkIdle(getActiveSession(user_id, id));
+    if (!idle || idle.reason !== 'max_length') continue;
+    closeSession(id, idle.last_activity_at);
+    db.prepare('UPDATE sessions SET auto_stopped = 1 WHERE id = ?').run(id);
+  }
+}
+
+app.post('/api/sessions/:id/heartbeat', (req, res) => {
+  const owned = ownSession(req);
+  if (owned) touchSession(owned.id, requestTime(req));
+  const session = owned && getActiveSession(req.user.id, owned.id);
+  if (!session) return res.status(409).json({ error: 'Session is not running' });
+  res.json({ ...session, idle: checkIdle(session) });
+});
+
+// Trim a forgotten session back to its last activity and stop it. Only one
+// the idle check flags: a stale tab mustn't cut off a session in use
+app.post('/api/sessions/:id/trim', (req, res) => {
+  const session = getActiveSession(req.user.id, Number(req.params.id));
+  if (!session) return res.status(409).json({ error: 'Session is not running' });
+  if (!checkIdle(session)) return res.status(409).json({ error: 'Session is not idle' });
+  closeSession(session.id, session.last_activity_at || session.start_time);
+  res.json(getSession(session.id));
+});
+
+// ─── Focus Mode ─────────────────────────────────────────
+// The client runs the countdown; each interval is recorded here once it ends.
+app.get('/api/sessions/:id/focus', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const rows = db.prepare('SELECT * FROM focus_intervals WHERE session_id = ? ORDER BY start_time ASC')
+    .all(session.id);
+  res.json(rows);
+});
+
+app.post('/api/sessions/:id/focus', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (session.invoice_id) return res.status(409).json({ error: INVOICED_SESSION });
+
+  const { kind, planned_seconds, completed } = req.body;
+  const start = toSqlTime(req.body.start_time);
+  const end = toSqlTime(req.body.end_time);
+  if (kind !== 'work' && kind !== 'break') {
+    return res.status(400).json({ error: "kind must be 'work' or 'break'" });
+  }
+  if (!(Number.isInteger(planned_seconds) && planned_seconds > 0)) {
+    return res.status(400).json({ error: 'planned_seconds must be a positive integer' });
+  }
+  if (!start || !end || end < start) {
+    return res.status(400).json({ error: 'Invalid start_time or end_time' });
+  }
+  if (end > sqlNow()) return res.status(400).json({ error: 'Times cannot be in the future' });
+  const outside = outsideSession(start, end, session);
+  if (outside) return res.status(400).json({ error: outside });
+
+  const info = db.prepare(`
+    INSERT INTO focus_intervals (session_id, kind, planned_seconds, start_time, end_time, completed)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(session.id, kind, planned_seconds, start, end, completed === false ? 0 : 1);
+  touchSession(session.id, requestTime(req));
+  res.status(201).json(db.prepare('SELECT * FROM focus_intervals WHERE id = ?').get(info.lastInsertRowid));
+});
+
+// ─── Copy Log ───────────────────────────────────────────
+// Every rationale copied from a builder is kept against the running session, so a
+// past rating can be justified later. A copy is a finished task, so it also
+// records a task event the same way +1 does.
+app.post('/api/sessions/:id/copies', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (session.invoice_id) return res.status(409).json({ error: INVOICED_SESSION });
+
+  const { task_type, builder_name, summary, selections, text, template_id } = req.body;
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'text is required' });
+  if (typeof task_type !== 'string' || !task_type) return res.status(400).json({ error: 'task_type is required' });
+  if (template_id != null && !ownsRow('templates', template_id, req.user.id)) {
+    return res.status(400).json({ error: 'Unknown template' });
+  }
+
+  const at = requestTime(req);
+  if (endedBefore(session, at)) return res.status(409).json({ error: 'Session is not running' });
+  const id = db.transaction(() => {
+    const event = db.prepare('INSERT INTO task_events (session_id, template_id, label, created_at) VALUES (?, ?, ?, ?)')
+      .run(session.id, template_id ?? null, typeof builder_name === 'string' ? builder_name : '', at);
+    db.prepare('UPDATE sessions SET task_count = task_count + 1 WHERE id = ?').run(session.id);
+    return db.prepare(`
+      INSERT INTO copy_log (session_id, task_event_id, created_at, task_type, builder_name, summary, selections, text)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      session.id,
+      event.lastInsertRowid,
+      at,
+      task_type,
+      typeof builder_name === 'string' ? builder_name : '',
+      typeof summary === 'string' ? summary : '',
+      JSON.stringify(selections || {}),
+      text
+    ).lastInsertRowid;
+  })();
+  touchSession(session.id, at);
+
+  const { task_count } = db.prepare('SELECT task_count FROM sessions WHERE id = ?').get(session.id);
+  res.status(201).json({ ...db.prepare('SELECT * FROM copy_log WHERE id = ?').get(id), task_count });
+});
+
+// ?q= matches the copied text, the builder name or the picks
+app.get('/api/sessions/:id/copies', (req, res) => {
+  const session = ownSession(req);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const like = `%${q.replace(/[\\%_]/g, c => '\\' + c)}%`;
+  const rows = db.prepare(`
+    SELECT * FROM copy_log
+    WHERE session_id = ?
+      AND (? = '' OR text LIKE @like ESCAPE '\\' OR builder_name LIKE @like ESCAPE '\\'
+        OR summary LIKE @like ESCAPE '\\' OR selections LIKE @like ESCAPE '\\')
+    ORDER BY created_at DESC, id DESC
+  `).all(session.id, q, { like });
+  res.json(rows);
+});
+
+// ─── Task Throughput ────────────────────────────────────
+// A task's time is the gap since the previous task in the same session (or since
+// the session started, for the first), minus any break that fell inside that gap.
+function taskTimings(where, params) {
+  const events = db.prepare(`
+    SELECT e.*, s.start_time AS session_start, s.end_time AS session_end, t.name AS template_name
+    FROM task_events e
+    JOIN sessions s ON s.id = e.session_id
+    LEFT JOIN templates t ON t.id = e.template_id
+    WHERE ${where}
+    ORDER BY e.session_id ASC, e.created_at ASC, e.id ASC
+  `).all(...params);
+  if (events.length === 0) return [];
+
+  const sessionIds = [...new Set(events.map(e => e.session_id))];
+  const breaks = db.prepare(`
+    SELECT session_id, start_time, COALESCE(end_time, datetime('now')) AS end_time
+    FROM session_breaks
+    WHERE session_id IN (${sessionIds.map(() => '?').join(',')})
+  `).all(...sessionIds);
+
+  let prevSession = null;
+  let prevMs = 0;
+  return events.map(e => {
+    // Events recorded after their session stopped (before that was refused)
+    // count as finishing at the stop
+    const at = e.session_end ? Math.min(sqlTimeToMs(e.created_at), sqlTimeToMs(e.session_end)) : sqlTimeToMs(e.created_at);
+    const from = e.session_id === prevSession ? prevMs : sqlTimeToMs(e.session_start);
+    const onBreak = breaks
+      .filter(b => b.session_id === e.session_id)
+      .reduce((sum, b) => {
+        const overlap = Math.min(at, sqlTimeToMs(b.end_time)) - Math.max(from, sqlTimeToMs(b.start_time));
+        return sum + Math.max(0, overlap);
+      }, 0);
+
+    prevSession = e.session_id;
+    prevMs = at;
+    const { session_start, session_end, ...event } = e;
+    return { ...event, seconds: Math.max(0, Math.round((at - from - onBreak) / 1000)) };
+  });
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Per-task times come from recorded events; tasks per hour uses every counted task,
+// including ones from before events were recorded or typed in by hand.
+function throughput(userId, from, to, tz) {
+  const seconds = taskTimings('s.user_id = ? AND local_date(s.start_time, ?) BETWEEN ? AND ?', [userId, tz, from, to])
+    .map(e => e.seconds);
+  const totals = db.prepare(`
+    SELECT COALESCE(SUM(s.task_count), 0) AS tasks, COALESCE(SUM(${WORKED_SECONDS}), 0) AS seconds
+    FROM sessions s
+    WHERE s.user_id = ? AND local_date(s.start_time, ?) BETWEEN ? AND ?
+  `).get(userId, tz, from, to);
+
+  return {
+    timed_tasks: seconds.length,
+    avg_seconds_per_task: seconds.length ? Math.round(seconds.reduce((a, b) => a + b, 0) / seconds.length) : null,
+    median_seconds_per_task: seconds.length ? Math.round(median(seconds)) : null,
+    tasks_per_hour: totals.seconds > 0 ? Math.round((totals.tasks / (totals.seconds / 3600)) * 10) / 10 : null,
+  };
+}
+
+app.get('/api/stats/throughput', (req, res) => {
+  const tz = getTimeZone(req.user.id);
+  const today = todayIn(tz);
+  const from = req.query.from || today;
+  const to = req.query.to || today;
+  if (!ISO_DATE.test(from) || !ISO_DATE.test(to)) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  }
+  if (from > to) return res.status(400).json({ error: 'from must be on or before to' });
+  res.json({ from, to, timezone: tz, ...throughput(req.user.id, from, to, tz) });
+});
+
 // ─── Stats ───────────────────────────────────────────────
+// Days are bucketed in the user's time zone (settings.timezone) via the
+// local_date() SQL function, so "today" and streaks match the user's calendar.
+const DEFAULT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function getTimeZone(userId) {
+  return getSetting(userId, 'timezone') || DEFAULT_TIME_ZONE;
+}
+
+// The user's completed work intervals started on the given day
+function focusBlocksOn(dayExpr) {
+  return `(
+    SELECT COUNT(*) FROM focus_intervals f
+    JOIN sessions fs ON fs.id = f.session_id
+    WHERE fs.user_id = @user AND f.kind = 'work' AND f.completed = 1 AND local_date(f.start_time, @tz) = ${dayExpr}
+  )`;
+}
+
 app.get('/api/stats/today', (req, res) => {
+  const tz = getTimeZone(req.user.id);
+  const today = todayIn(tz);
   const stats = db.prepare(`
     SELECT
       COUNT(*) AS sessions_count,
       COALESCE(SUM(s.task_count), 0) AS total_tasks,
+      ${focusBlocksOn('@today')} AS focus_blocks,
       COALESCE(SUM(
         CASE WHEN s.end_time IS NOT NULL
-          THEN (julianday(s.end_time) - julianday(s.start_time)) * 86400
+          THEN ${WORKED_SECONDS}
           ELSE 0
         END
       ), 0) AS total_seconds
     FROM sessions s
-    WHERE date(s.start_time) = date('now')
-  `).get();
-  res.json(stats);
+    WHERE s.user_id = @user AND local_date(s.start_time, @tz) = @today
+  `).get({ user: req.user.id, tz, today });
+  res.json({ ...stats, day: today, timezone: tz, throughput: throughput(req.user.id, today, today, tz) });
 });
 
 app.get('/api/stats/week', (req, res) => {
+  const tz = getTimeZone(req.user.id);
   const rows = db.prepare(`
     SELECT
-      date(s.start_time) AS day,
+      local_date(s.start_time, @tz) AS day,
       COUNT(*) AS sessions_count,
       COALESCE(SUM(s.task_count), 0) AS total_tasks,
+      ${focusBlocksOn('local_date(s.start_time, @tz)')} AS focus_blocks,
       COALESCE(SUM(
         CASE WHEN s.end_time IS NOT NULL
-          THEN (julianday(s.end_time) - julianday(s.start_time)) * 86400
+          THEN ${WORKED_SECONDS}
           ELSE 0
         END
       ), 0) AS total_seconds
     FROM sessions s
-    WHERE date(s.start_time) >= date('now', '-7 days')
-    GROUP BY date(s.start_time)
+    WHERE s.user_id = @user AND local_date(s.start_time, @tz) >= @since
+    GROUP BY day
     ORDER BY day ASC
-  `).all();
+  `).all({ user: req.user.id, tz, since: addDays(todayIn(tz), -7) });
+  res.json(rows);
+});
+
+app.get('/api/stats/focus', (req, res) => {
+  const tz = getTimeZone(req.user.id);
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 366);
+  const rows = db.prepare(`
+    SELECT
+      local_date(f.start_time, @tz) AS day,
+      SUM(CASE WHEN f.kind = 'work' AND f.completed = 1 THEN 1 ELSE 0 END) AS focus_blocks,
+      SUM(CASE WHEN f.kind = 'work' AND f.completed = 0 THEN 1 ELSE 0 END) AS abandoned_blocks,
+      COALESCE(SUM(CASE WHEN f.kind = 'work'
+        THEN (julianday(f.end_time) - julianday(f.start_time)) * 86400
+        ELSE 0 END), 0) AS focus_seconds
+    FROM focus_intervals f
+    JOIN sessions s ON s.id = f.session_id
+    WHERE s.user_id = @user AND local_date(f.start_time, @tz) >= @since
+    GROUP BY day
+    ORDER BY day ASC
+  `).all({ user: req.user.id, tz, since: addDays(todayIn(tz), -(days - 1)) });
   res.json(rows);
 });
 
 // ─── Dashboard Summary ──────────────────────────────────
 app.get('/api/stats/dashboard', (req, res) => {
+  const user = req.user.id;
+  const tz = getTimeZone(user);
+  const todayStr = todayIn(tz);
+
   // Today's stats
   const today = db.prepare(`
     SELECT
       COUNT(*) AS sessions_count,
       COALESCE(SUM(s.task_count), 0) AS total_tasks,
-      COALESCE(SUM(
-        CASE WHEN s.end_time IS NOT NULL
-          THEN (julianday(s.end_time) - julianday(s.start_time)) * 86400
-          ELSE (julianday(datetime('now')) - julianday(s.start_time)) * 86400
-        END
-      ), 0) AS total_seconds
+      ${focusBlocksOn('@today')} AS focus_blocks,
+      COALESCE(SUM(${WORKED_SECONDS}), 0) AS total_seconds
     FROM sessions s
-    WHERE date(s.start_time) = date('now')
-  `).get();
+    WHERE s.user_id = @user AND local_date(s.start_time, @tz) = @today
+  `).get({ user, tz, today: todayStr });
 
-  // Weekly breakdown (last 7 days)
-  const week = db.prepare(`
+  // Weekly breakdown (last 7 days, including days without sessions)
+  const weekRows = db.prepare(`
     SELECT
-      date(s.start_time) AS day,
+      local_date(s.start_time, @tz) AS day,
       COUNT(*) AS sessions_count,
+      ${focusBlocksOn('local_date(s.start_time, @tz)')} AS focus_blocks,
       COALESCE(SUM(
         CASE WHEN s.end_time IS NOT NULL
-          THEN (julianday(s.end_time) - julianday(s.start_time)) * 86400
+          THEN ${WORKED_SECONDS}
           ELSE 0
         END
       ), 0) AS total_seconds
     FROM sessions s
-    WHERE date(s.start_time) >= date('now', '-6 days')
-    GROUP BY date(s.start_time)
-    ORDER BY day ASC
-  `).all();
+    WHERE s.user_id = @user AND local_date(s.start_time, @tz) >= @since
+    GROUP BY day
+  `).all({ user, tz, since: addDays(todayStr, -6) });
 
-  // Streak: count consecutive days with sessions ending today or yesterday
-  const activeDays = db.prepare(`
-    SELECT DISTINCT date(s.start_time) AS day
-    FROM sessions s
-    WHERE s.end_time IS NOT NULL
-    ORDER BY day DESC
-  `).all().map(r => r.day);
-
-  let streak = 0;
-  const todayStr = new Date().toISOString().slice(0, 10);
-  // Check if today or yesterday has a session (allows continuing streak)
-  const hasToday = activeDays.includes(todayStr);
-  const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-  const startFrom = hasToday ? todayStr : (activeDays.includes(yesterday) ? yesterday : null);
-
-  if (startFrom) {
-    let checkDate = new Date(startFrom + 'T00:00:00');
-    for (const day of activeDays) {
-      const expected = checkDate.toISOString().slice(0, 10);
-      if (day === expected) {
-        streak++;
-        checkDate.setDate(checkDate.getDate() - 1);
-      } else if (day < expected) {
-        break;
-      }
-    }
+  const week = [];
+  for (let i = 6; i >= 0; i--) {
+    const day = addDays(todayStr, -i);
+    week.push(weekRows.find(r => r.day === day) || { day, sessions_count: 0, focus_blocks: 0, total_seconds: 0 });
   }
 
-  // Best streak
-  let bestStreak = 0;
-  let currentRun = 0;
-  for (let i = 0; i < activeDays.length; i++) {
-    if (i === 0) {
-      currentRun = 1;
-    } else {
-      const prev = new Date(activeDays[i - 1] + 'T00:00:00');
-      const curr = new Date(activeDays[i] + 'T00:00:00');
-      const diff = (prev - curr) / 86400000;
-      if (diff === 1) {
-        currentRun++;
-      } else {
-        currentRun = 1;
-      }
-    }
-    bestStreak = Math.max(bestStreak, currentRun);
-  }
+  // Streaks over days with a finished session
+  const activeDays = db.prepare(`
+    SELECT DISTINCT local_date(s.start_time, @tz) AS day
+    FROM sessions s
+    WHERE s.user_id = @user AND s.end_time IS NOT NULL
+  `).all({ user, tz }).map(r => r.day);
+  const { current: streak, best: bestStreak } = streaks(activeDays, todayStr);
 
   // Total all-time hours for level system
   const allTime = db.prepare(`
-    SELECT COALESCE(SUM(
-      (julianday(s.end_time) - julianday(s.start_time)) * 86400
-    ), 0) AS total_seconds
+    SELECT COALESCE(SUM(${WORKED_SECONDS}), 0) AS total_seconds
     FROM sessions s
-    WHERE s.end_time IS NOT NULL
-  `).get();
+    WHERE s.user_id = ? AND s.end_time IS NOT NULL
+  `).get(user);
 
   const totalHours = allTime.total_seconds / 3600;
 
@@ -266,9 +1105,7 @@ app.get('/api/stats/dashboard', (req, res) => {
     }
   }
 
-  // Daily goal from settings (default 4 hours = 14400 seconds)
-  const goalRow = db.prepare("SELECT value FROM settings WHERE key = 'daily_goal_hours'").get();
-  const dailyGoalHours = goalRow ? parseFloat(goalRow.value) : 4;
+  const dailyGoalHours = getSetting(user, 'daily_goal_hours');
 
   // Week total
   const weekTotal = week.reduce((sum, d) => sum + d.total_seconds, 0);
@@ -278,6 +1115,8 @@ app.get('/api/stats/dashboard', (req, res) => {
       seconds: Math.round(today.total_seconds),
       sessions: today.sessions_count,
       tasks: today.total_tasks,
+      focus_blocks: today.focus_blocks,
+      throughput: throughput(user, todayStr, todayStr, tz),
       goal_seconds: dailyGoalHours * 3600,
       goal_hours: dailyGoalHours,
     },
@@ -285,6 +1124,7 @@ app.get('/api/stats/dashboard', (req, res) => {
       days: week,
       total_seconds: Math.round(weekTotal),
     },
+    timezone: tz,
     streak: {
       current: streak,
       best: bestStreak,
@@ -298,26 +1138,1242 @@ app.get('/api/stats/dashboard', (req, res) => {
   });
 });
 
+// ─── Reports ────────────────────────────────────────────
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const round2 = n => Math.round(n * 100) / 100;
+
+// A project id from a query string ("12") or JSON body (12): the id, null when
+// left out, or NaN when it isn't a positive whole number
+function parseProjectId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = typeof value === 'number' ? value : (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+function parseReportQuery(query, userId) {
+  const { from, to, task_type } = query;
+  if (!ISO_DATE.test(from || '') || !ISO_DATE.test(to || '')) {
+    return { error: 'from and to are required as YYYY-MM-DD' };
+  }
+  if (from > to) return { error: 'from must be on or before to' };
+  const projectId = parseProjectId(query.project_id);
+  if (Number.isNaN(projectId)) return { error: 'project_id must be a positive integer' };
+  return {
+    user_id: userId,
+    from,
+    to,
+    project_id: projectId,
+    task_type: task_type || null,
+    tz: getTimeZone(userId),
+  };
+}
+
+// Completed sessions only: a running timer has no billable end yet
+function buildReport({ user_id, from, to, project_id, task_type, tz }) {
+  const entries = db.prepare(`
+    SELECT s.id, s.task_type, s.project_id, s.start_time, s.end_time, s.task_count, s.notes,
+      p.name AS project_name, p.color AS project_color,
+      COALESCE(p.hourly_rate, 0) AS hourly_rate,
+      ${WORKED_SECONDS} AS duration_seconds
+    FROM sessions s
+    LEFT JOIN projects p ON p.id = s.project_id
+    WHERE s.user_id = ? AND s.end_time IS NOT NULL
+      AND local_date(s.start_time, ?) BETWEEN ? AND ?
+      AND (? IS NULL OR s.project_id = ?)
+      AND (? IS NULL OR s.task_type = ?)
+    ORDER BY s.start_time ASC
+  `).all(user_id, tz, from, to, project_id, project_id, task_type, task_type);
+
+  const groups = new Map();
+  const totals = { seconds: 0, hours: 0, earnings: 0, sessions: 0, tasks: 0 };
+
+  for (const e of entries) {
+    e.hours = round2(e.duration_seconds / 3600);
+    e.earnings = round2((e.duration_seconds / 3600) * e.hourly_rate);
+
+    const key = e.project_id || 0;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        project_id: e.project_id,
+        name: e.project_name || 'No Project',
+        color: e.project_color,
+        hourly_rate: e.hourly_rate,
+        seconds: 0,
+        earnings: 0,
+        sessions: 0,
+        tasks: 0,
+      });
+    }
+    const g = groups.get(key);
+    g.seconds += e.duration_seconds;
+    g.earnings += (e.duration_seconds / 3600) * e.hourly_rate;
+    g.sessions++;
+    g.tasks += e.task_count;
+
+    totals.seconds += e.duration_seconds;
+    totals.earnings += (e.duration_seconds / 3600) * e.hourly_rate;
+    totals.sessions++;
+    totals.tasks += e.task_count;
+  }
+
+  const projects = [...groups.values()]
+    .map(g => ({ ...g, seconds: Math.round(g.seconds), hours: round2(g.seconds / 3600), earnings: round2(g.earnings) }))
+    .sort((a, b) => b.seconds - a.seconds);
+
+  return {
+    range: { from, to, timezone: tz },
+    totals: {
+      ...totals,
+      seconds: Math.round(totals.seconds),
+      hours: round2(totals.seconds / 3600),
+      earnings: round2(totals.earnings),
+    },
+    projects,
+    entries,
+  };
+}
+
+function csvCell(value) {
+  const str = value == null ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+app.get('/api/reports', (req, res) => {
+  const filters = parseReportQuery(req.query, req.user.id);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  res.json(buildReport(filters));
+});
+
+app.get('/api/reports.csv', (req, res) => {
+  const filters = parseReportQuery(req.query, req.user.id);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+
+  const { entries, totals } = buildReport(filters);
+  const { tz } = filters;
+  const header = ['Date', `Start (${tz})`, `End (${tz})`, 'Project', 'Task Type', 'Hours', 'Rate', 'Earnings', 'Tasks', 'Notes'];
+  const lines = [header.join(',')];
+  for (const e of entries) {
+    const start = localDateTime(e.start_time, tz);
+    lines.push([
+      start.slice(0, 10),
+      start.slice(11, 16),
+      localDateTime(e.end_time, tz).slice(11, 16),
+      e.project_name || '',
+      e.task_type,
+      e.hours.toFixed(2),
+      e.hourly_rate.toFixed(2),
+      e.earnings.toFixed(2),
+      e.task_count,
+      e.notes,
+    ].map(csvCell).join(','));
+  }
+  lines.push(['Total', '', '', '', '', totals.hours.toFixed(2), '', totals.earnings.toFixed(2), totals.tasks, '']
+    .map(csvCell).join(','));
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="report-${filters.from}-to-${filters.to}.csv"`);
+  res.send(lines.join('\r\n') + '\r\n');
+});
+
+// ─── Invoices ───────────────────────────────────────────
+// Built from the completed, not yet invoiced sessions in a date range (the
+// same range and filters as reports). Each line is one project and task type,
+// billed by the hour or by the task. Creating an invoice marks its sessions
+// (sessions.invoice_id), so they can't be billed twice; voiding it releases
+// them. Numbers are never reused, so invoices are voided rather than deleted.
+//
+// POST body: { from, to, project_id?, task_type?, client?, notes?, tax_rate?, issued_on?,
+//   lines?: { "<project_id or 0>:<task_type>": { unit?: "hours" | "tasks", rate?, description? } } }
+// ?dry_run=1 returns the invoice it would create, with each line's key for overrides.
+const INVOICE_STATUSES = ['issued', 'paid', 'void'];
+const INVOICE_UNITS = ['hours', 'tasks'];
+
+function taskTypeName(taskType) {
+  const builder = db.prepare('SELECT name FROM builders WHERE task_type = ?').get(taskType);
+  return builder ? builder.name : taskType.charAt(0).toUpperCase() + taskType.slice(1);
+}
+
+function nextInvoiceNumber(userId) {
+  const last = db.prepare('SELECT MAX(sequence) AS sequence FROM invoices WHERE user_id = ?').get(userId).sequence;
+  const sequence = Math.max((last || 0) + 1, Math.floor(getSetting(userId, 'invoice_start_number')));
+  return { sequence, number: `${getSetting(userId, 'invoice_prefix')}${String(sequence).padStart(4, '0')}` };
+}
+
+function checkInvoiceOptions(body) {
+  const { client, notes, tax_rate, issued_on, lines } = body;
+  if (client !== undefined && (typeof client !== 'string' || client.length > 2000)) {
+    return 'client must be text of up to 2000 characters';
+  }
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 2000)) {
+    return 'notes must be text of up to 2000 characters';
+  }
+  if (tax_rate !== undefined && !(typeof tax_rate === 'number' && tax_rate >= 0 && tax_rate <= 100)) {
+    return 'tax_rate must be a percentage between 0 and 100';
+  }
+  if (issued_on !== undefined && !ISO_DATE.test(issued_on)) return 'issued_on must be YYYY-MM-DD';
+  if (lines === undefined) return null;
+  if (!lines || typeof lines !== 'object' || Array.isArray(lines)) return 'lines must be an object keyed by line';
+  for (const [key, line] of Object.entries(lines)) {
+    if (!line || typeof line !== 'object') return `Line ${key} must be an object`;
+    if (line.unit !== undefined && !INVOICE_UNITS.includes(line.unit)) return `Line ${key}: unit must be hours or tasks`;
+    if (line.rate !== undefined && !(typeof line.rate === 'number' && line.rate >= 0 && Number.isFinite(line.rate))) {
+      return `Line ${key}: rate must be a non-negative number`;
+    }
+    if (line.description !== undefined && (typeof line.description !== 'string' || !line.description.trim()
+      || line.description.length > 200)) {
+      return `Line ${key}: description must be text of 1 to 200 characters`;
+    }
+  }
+  return null;
+}
+
+// The invoice a POST body describes, with the ids of the sessions it bills;
+// or { error }
+function draftInvoice(userId, body) {
+  const filters = parseReportQuery(body, userId);
+  if (filters.error) return { error: filters.error };
+  if (filters.project_id !== null && !ownsRow('projects', filters.project_id, userId)) return { error: 'Unknown project' };
+  const optionsError = checkInvoiceOptions(body);
+  if (optionsError) return { error: optionsError };
+
+  const sessions = db.prepare(`
+    SELECT s.id, s.task_type, s.project_id, s.task_count, p.name AS project_name,
+      COALESCE(p.hourly_rate, 0) AS hourly_rate,
+      ${WORKED_SECONDS} AS worked_seconds
+    FROM sessions s
+    LEFT JOIN projects p ON p.id = s.project_id
+    WHERE s.user_id = ? AND s.end_time IS NOT NULL AND s.invoice_id IS NULL
+      AND local_date(s.start_time, ?) BETWEEN ? AND ?
+      AND (? IS NULL OR s.project_id = ?)
+      AND (? IS NULL OR s.task_type = ?)
+    ORDER BY s.start_time ASC
+  `).all(userId, filters.tz, filters.from, filters.to, filters.project_id, filters.project_id,
+    filters.task_type, filters.task_type);
+  if (sessions.length === 0) return { error: 'No uninvoiced completed sessions in this range' };
+
+  const groups = new Map();
+  sessions.forEach(s => {
+    const key = `${s.project_id || 0}:${s.task_type}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        task_type: s.task_type,
+        project_id: s.project_id,
+        description: [taskTypeName(s.task_type), s.project_name].filter(Boolean).join(' · '),
+        hourly_rate: s.hourly_rate,
+        seconds: 0,
+        tasks: 0,
+        session_ids: [],
+      });
+    }
+    const g = groups.get(key);
+    g.seconds += s.worked_seconds;
+    g.tasks += s.task_count || 0;
+    g.session_ids.push(s.id);
+  });
+
+  const overrides = body.lines || {};
+  const lines = [...groups.values()].map(g => {
+    const override = overrides[g.key] || {};
+    const unit = override.unit || 'hours';
+    // Projects only carry an hourly rate; per-task rates come from the request
+    const rate = override.rate !== undefined ? override.rate : (unit === 'hours' ? g.hourly_rate : 0);
+    const quantity = unit === 'hours' ? round2(g.seconds / 3600) : g.tasks;
+    return {
+      key: g.key,
+      description: override.description ? override.description.trim() : g.description,
+      task_type: g.task_type,
+      project_id: g.project_id,
+      unit,
+      quantity,
+      rate,
+      amount: round2(quantity * rate),
+      session_ids: g.session_ids,
+    };
+  });
+
+  const taxRate = body.tax_rate !== undefined ? body.tax_rate : getSetting(userId, 'invoice_tax_rate');
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  const tax = round2(subtotal * taxRate / 100);
+  const issuedOn = body.issued_on || todayIn(filters.tz);
+
+  return {
+    ...nextInvoiceNumber(userId),
+    status: 'issued',
+    period_from: filters.from,
+    period_to: filters.to,
+    issued_on: issuedOn,
+    due_on: addDays(issuedOn, Math.floor(getSetting(userId, 'invoice_due_days'))),
+    client: body.client !== undefined ? body.client.trim() : getSetting(userId, 'invoice_client'),
+    business_name: getSetting(userId, 'invoice_business_name'),
+    business_details: getSetting(userId, 'invoice_business_details'),
+    notes: body.notes !== undefined ? body.notes.trim() : getSetting(userId, 'invoice_notes'),
+    currency: getSetting(userId, 'invoice_currency'),
+    tax_label: getSetting(userId, 'invoice_tax_label'),
+    tax_rate: taxRate,
+    subtotal,
+    tax,
+    total: round2(subtotal + tax),
+    lines,
+    session_count: sessions.length,
+  };
+}
+
+function getInvoice(id, userId) {
+  const invoice = db.prepare('SELECT * FROM invoices WHERE id = ? AND user_id = ?').get(id, userId);
+  if (!invoice) return null;
+  invoice.lines = db.prepare('SELECT * FROM invoice_lines WHERE invoice_id = ? ORDER BY position').all(invoice.id);
+  invoice.session_count = db.prepare('SELECT COUNT(*) AS n FROM sessions WHERE invoice_id = ?').get(invoice.id).n;
+  return invoice;
+}
+
+function createInvoice(userId, draft) {
+  const info = db.prepare(`
+    INSERT INTO invoices (user_id, sequence, number, period_from, period_to, issued_on, due_on, client,
+      business_name, business_details, notes, currency, tax_label, tax_rate, subtotal, tax, total)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, draft.sequence, draft.number, draft.period_from, draft.period_to, draft.issued_on, draft.due_on,
+    draft.client, draft.business_name, draft.business_details, draft.notes, draft.currency, draft.tax_label,
+    draft.tax_rate, draft.subtotal, draft.tax, draft.total);
+  const invoiceId = info.lastInsertRowid;
+
+  const insertLine = db.prepare(`
+    INSERT INTO invoice_lines (invoice_id, position, description, task_type, project_id, unit, quantity, rate, amount)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const markSession = db.prepare('UPDATE sessions SET invoice_id = ? WHERE id = ? AND invoice_id IS NULL');
+  draft.lines.forEach((l, i) => {
+    insertLine.run(invoiceId, i + 1, l.description, l.task_type, l.project_id, l.unit, l.quantity, l.rate, l.amount);
+    l.session_ids.forEach(id => {
+      if (markSession.run(invoiceId, id).changes !== 1) throw new Error(`Session #${id} is already invoiced`);
+    });
+  });
+  return invoiceId;
+}
+
+app.get('/api/invoices', (req, res) => {
+  res.json(db.prepare(`
+    SELECT i.id, i.number, i.status, i.client, i.period_from, i.period_to, i.issued_on, i.due_on,
+      i.currency, i.total, (SELECT COUNT(*) FROM sessions s WHERE s.invoice_id = i.id) AS session_count
+    FROM invoices i
+    WHERE i.user_id = ?
+    ORDER BY i.sequence DESC
+  `).all(req.user.id));
+});
+
+app.post('/api/invoices', (req, res) => {
+  const draft = draftInvoice(req.user.id, req.body || {});
+  if (draft.error) return res.status(400).json({ error: draft.error });
+  if (req.query.dry_run === '1') return res.json(draft);
+
+  const id = db.transaction(() => createInvoice(req.user.id, draft))();
+  res.status(201).json(getInvoice(id, req.user.id));
+});
+
+app.get('/api/invoices/:id', (req, res) => {
+  const invoice = getInvoice(req.params.id, req.user.id);
+  if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+  res.json(invoice);
+});
+
+// { status: "issued" | "paid" | "void" }; voiding is final and frees the sessions
+app.patch('/api/invoices/:id', (req, res) => {
+  const invoice = getInvoice(req.params.id, req.user.id);
+  if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+  const { status } = req.body;
+  if (!INVOICE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${INVOICE_STATUSES.join(', ')}` });
+  }
+  if (invoice.status === 'void') return res.status(409).json({ error: 'Invoice is void' });
+
+  db.transaction(() => {
+    db.prepare('UPDATE invoices SET status = ? WHERE id = ?').run(status, invoice.id);
+    if (status === 'void') db.prepare('UPDATE sessions SET invoice_id = NULL WHERE invoice_id = ?').run(invoice.id);
+  })();
+  res.json(getInvoice(invoice.id, req.user.id));
+});
+
+app.get('/api/invoices/:id/html', (req, res) => {
+  const invoice = getInvoice(req.params.id, req.user.id);
+  if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+  res.type('html').send(renderInvoiceHtml(invoice));
+});
+
+app.get('/api/invoices/:id/pdf', (req, res) => {
+  const invoice = getInvoice(req.params.id, req.user.id);
+  if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+  const filename = invoice.number.replace(/[^A-Za-z0-9._-]/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  res.send(renderInvoicePdf(invoice));
+});
+
+// ─── Calendar Feed ──────────────────────────────────────
+// Sessions as an iCalendar feed for calendar apps to subscribe to, the running
+// one included (it ends "now" until stopped). Those apps can't sign in, so the
+// link carries a token of its own, one per user. Only its hash is kept, so the
+// link is shown once; resetting it issues a new one and the old link stops
+// working. ?task_type=a,b and ?project_id= narrow the feed.
+const FEED_REFRESH_MINUTES = 15;
+
+function feedInfo(userId) {
+  const feed = db.prepare('SELECT created_at, last_fetched_at FROM calendar_feeds WHERE user_id = ?').get(userId);
+  return { enabled: !!feed, created_at: feed ? feed.created_at : null, last_fetched_at: feed ? feed.last_fetched_at : null };
+}
+
+function formatWorked(seconds) {
+  const minutes = Math.max(0, Math.round(seconds / 60));
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+app.get('/api/calendar/feed', (req, res) => {
+  res.json(feedInfo(req.user.id));
+});
+
+// Creates the link, or replaces it
+app.post('/api/calendar/feed', (req, res) => {
+  const token = newToken();
+  db.prepare(`
+    INSERT INTO calendar_feeds (user_id, token_hash) VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET token_hash = excluded.token_hash, created_at = datetime('now'), last_fetched_at = NULL
+  `).run(req.user.id, hashToken(token));
+  res.status(201).json({ ...feedInfo(req.user.id), token });
+});
+
+app.delete('/api/calendar/feed', (req, res) => {
+  db.prepare('DELETE FROM calendar_feeds WHERE user_id = ?').run(req.user.id);
+  res.json(feedInfo(req.user.id));
+});
+
+// Reached without a sign-in (see the /api middleware); the token is the sign-in
+app.get('/api/calendar.ics', (req, res) => {
+  const user = typeof req.query.token === 'string' && db.prepare(`
+    SELECT u.* FROM calendar_feeds f
+    JOIN users u ON u.id = f.user_id
+    WHERE f.token_hash = ?
+  `).get(hashToken(req.query.token));
+  // As with sign-in, token mode only serves the shared account
+  if (!user || (AUTH_TOKEN && user.username !== SHARED_USERNAME)) {
+    return res.status(404).type('text/plain').send('Unknown calendar link');
+  }
+
+  const taskTypes = typeof req.query.task_type === 'string'
+    ? req.query.task_type.split(',').map(t => t.trim()).filter(Boolean)
+    : [];
+  const projectId = parseProjectId(req.query.project_id);
+  if (Number.isNaN(projectId)) {
+    return res.status(400).type('text/plain').send('project_id must be a positive integer');
+  }
+  if (projectId !== null && !ownsRow('projects', projectId, user.id)) {
+    return res.status(404).type('text/plain').send('Unknown project');
+  }
+
+  const sessions = db.prepare(`
+    SELECT s.id, s.task_type, s.start_time, s.end_time, s.task_count, s.notes, p.name AS project_name,
+      COALESCE(s.end_time, datetime('now')) AS shown_end,
+      ${WORKED_SECONDS} AS worked_seconds
+    FROM sessions s
+    LEFT JOIN projects p ON p.id = s.project_id
+    WHERE s.user_id = ? AND (? IS NULL OR s.project_id = ?)
+    ORDER BY s.start_time ASC
+  `).all(user.id, projectId, projectId)
+    .filter(s => taskTypes.length === 0 || taskTypes.includes(s.task_type));
+
+  const events = sessions.map(s => ({
+    uid: `session-${s.id}@remote-work-hub`,
+    start: s.start_time,
+    end: s.shown_end > s.start_time ? s.shown_end : s.start_time,
+    summary: s.end_time ? s.task_type : `${s.task_type} (running)`,
+    description: [
+      s.notes,
+      `Tasks: ${s.task_count || 0}`,
+      `Worked: ${formatWorked(s.worked_seconds)}`,
+      s.project_name ? `Project: ${s.project_name}` : '',
+    ].filter(Boolean).join('\n'),
+  }));
+
+  const project = projectId !== null ? db.prepare('SELECT name FROM projects WHERE id = ?').get(projectId) : null;
+  const name = ['Work Sessions', project && project.name, taskTypes.join(', ')].filter(Boolean).join(' · ');
+
+  db.prepare("UPDATE calendar_feeds SET last_fetched_at = datetime('now') WHERE user_id = ?").run(user.id);
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'inline; filename="sessions.ics"');
+  res.send(renderCalendar({ name, refreshMinutes: FEED_REFRESH_MINUTES, events }));
+});
+
+// ─── Team Workspaces ────────────────────────────────────
+// Managers invite existing users by username and see a rollup of everyone's
+// completed sessions; members see who is in the workspace and nothing more.
+// An invitation is a membership row without accepted_at: it grants nothing
+// and shares nothing until the invitee accepts it. Days in the rollup are
+// bucketed in the manager's time zone so a range means the same days for
+// every member.
+const ROLES = ['manager', 'member'];
+
+function membership(workspaceId, userId) {
+  return db.prepare('SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?').get(workspaceId, userId);
+}
+
+// The workspace if the caller belongs to it (as a manager, when asked); otherwise
+// sends the error and returns null
+function workspaceFor(req, res, workspaceId, { manager = false } = {}) {
+  const member = membership(workspaceId, req.user.id);
+  if (!member || !member.accepted_at) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+  if (manager && member.role !== 'manager') {
+    res.status(403).json({ error: 'Only managers can do that' });
+    return null;
+  }
+  return { ...db.prepare('SELECT * FROM workspaces WHERE id = ?').get(member.workspace_id), role: member.role };
+}
+
+function workspaceMembers(workspaceId) {
+  return db.prepare(`
+    SELECT u.id AS user_id, u.username, m.role, m.joined_at,
+      CASE WHEN m.accepted_at IS NULL THEN 'invited' ELSE 'active' END AS status
+    FROM workspace_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.workspace_id = ?
+    ORDER BY m.role = 'manager' DESC, u.username COLLATE NOCASE ASC
+  `).all(workspaceId);
+}
+
+// A workspace always keeps at least one manager who has accepted
+function isLastManager(workspaceId, userId) {
+  const managers = db.prepare(`
+    SELECT user_id FROM workspace_members
+    WHERE workspace_id = ? AND role = 'manager' AND accepted_at IS NOT NULL
+  `).all(workspaceId);
+  return managers.length === 1 && managers[0].user_id === userId;
+}
+
+app.get('/api/workspaces', (req, res) => {
+  const rows = db.prepare(`
+    SELECT w.*, m.role,
+      (SELECT COUNT(*) FROM workspace_members c WHERE c.workspace_id = w.id AND c.accepted_at IS NOT NULL) AS member_count
+    FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ? AND m.accepted_at IS NOT NULL
+    ORDER BY w.name COLLATE NOCASE ASC
+  `).all(req.user.id);
+  res.json(rows);
+});
+
+// Workspaces the caller has been invited to and hasn't answered yet
+app.get('/api/workspaces/invitations', (req, res) => {
+  res.json(db.prepare(`
+    SELECT w.id, w.name, m.role, m.joined_at AS invited_at, u.username AS invited_by
+    FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id
+    LEFT JOIN users u ON u.id = m.invited_by
+    WHERE m.user_id = ? AND m.accepted_at IS NULL
+    ORDER BY m.joined_at DESC
+  `).all(req.user.id));
+});
+
+function pendingInvitation(workspaceId, userId) {
+  const member = membership(workspaceId, userId);
+  return member && !member.accepted_at ? member : null;
+}
+
+app.post('/api/workspaces/:id/accept', (req, res) => {
+  const invitation = pendingInvitation(req.params.id, req.user.id);
+  if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+  db.prepare("UPDATE workspace_members SET accepted_at = datetime('now') WHERE workspace_id = ? AND user_id = ?")
+    .run(invitation.workspace_id, req.user.id);
+  res.json(workspaceFor(req, res, invitation.workspace_id));
+});
+
+app.post('/api/workspaces/:id/decline', (req, res) => {
+  const invitation = pendingInvitation(req.params.id, req.user.id);
+  if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+  db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?').run(invitation.workspace_id, req.user.id);
+  res.json({ ok: true });
+});
+
+app.post('/api/workspaces', (req, res) => {
+  const { name } = req.body;
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+  const id = db.transaction(() => {
+    const workspaceId = db.prepare('INSERT INTO workspaces (name) VALUES (?)').run(name.trim()).lastInsertRowid;
+    db.prepare("INSERT INTO workspace_members (workspace_id, user_id, role, accepted_at) VALUES (?, ?, 'manager', datetime('now'))")
+      .run(workspaceId, req.user.id);
+    return workspaceId;
+  })();
+  res.status(201).json(workspaceFor(req, res, id));
+});
+
+app.put('/api/workspaces/:id', (req, res) => {
+  const workspace = workspaceFor(req, res, req.params.id, { manager: true });
+  if (!workspace) return;
+  const { name } = req.body;
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+  db.prepare('UPDATE workspaces SET name = ? WHERE id = ?').run(name.trim(), workspace.id);
+  res.json(workspaceFor(req, res, workspace.id));
+});
+
+app.delete('/api/workspaces/:id', (req, res) => {
+  const workspace = workspaceFor(req, res, req.params.id, { manager: true });
+  if (!workspace) return;
+  db.prepare('DELETE FROM workspaces WHERE id = ?').run(workspace.id);
+  res.json({ ok: true });
+});
+
+app.get('/api/workspaces/:id/members', (req, res) => {
+  const workspace = workspaceFor(req, res, req.params.id);
+  if (!workspace) return;
+  res.json(workspaceMembers(workspace.id));
+});
+
+app.post('/api/workspaces/:id/members', (req, res) => {
+  const workspace = workspaceFor(req, res, req.params.id, { manager: true });
+  if (!workspace) return;
+  const { username, role = 'member' } = req.body;
+  if (!ROLES.includes(role)) return res.status(400).json({ error: 'Role must be manager or member' });
+  const user = typeof username === 'string' && db.prepare('SELECT id FROM users WHERE username = ?').get(username.trim());
+  if (!user) return res.status(404).json({ error: `No user called "${username}"` });
+  const existing = membership(workspace.id, user.id);
+  if (existing) {
+    return res.status(409).json({ error: `${username} is already ${existing.accepted_at ? 'a member' : 'invited'}` });
+  }
+
+  // An invitation: they join (and share their totals) only once they accept
+  db.prepare('INSERT INTO workspace_members (workspace_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)')
+    .run(workspace.id, user.id, role, req.user.id);
+  res.status(201).json(workspaceMembers(workspace.id));
+});
+
+app.put('/api/workspaces/:id/members/:userId', (req, res) => {
+  const workspace = workspaceFor(req, res, req.params.id, { manager: true });
+  if (!workspace) return;
+  const userId = Number(req.params.userId);
+  const { role } = req.body;
+  if (!ROLES.includes(role)) return res.status(400).json({ error: 'Role must be manager or member' });
+  if (!membership(workspace.id, userId)) return res.status(404).json({ error: 'Member not found' });
+  if (role !== 'manager' && isLastManager(workspace.id, userId)) {
+    return res.status(409).json({ error: 'A workspace needs at least one manager' });
+  }
+
+  db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?').run(role, workspace.id, userId);
+  res.json(workspaceMembers(workspace.id));
+});
+
+// Managers remove anyone (or withdraw an invitation); members can only remove
+// themselves (leave)
+app.delete('/api/workspaces/:id/members/:userId', (req, res) => {
+  const userId = Number(req.params.userId);
+  const workspace = workspaceFor(req, res, req.params.id, { manager: userId !== req.user.id });
+  if (!workspace) return;
+  if (isLastManager(workspace.id, userId)) {
+    return res.status(409).json({ error: 'A workspace needs at least one manager; delete it instead' });
+  }
+
+  db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?').run(workspace.id, userId);
+  res.json({ ok: true });
+});
+
+// Hours, tasks and tasks per hour per member and per task type, from completed
+// sessions in the range. ?workspace_id= picks the workspace (default: the first
+// one the caller manages).
+app.get('/api/team/stats', (req, res) => {
+  const { from, to } = req.query;
+  if (!ISO_DATE.test(from || '') || !ISO_DATE.test(to || '')) {
+    return res.status(400).json({ error: 'from and to are required as YYYY-MM-DD' });
+  }
+  if (from > to) return res.status(400).json({ error: 'from must be on or before to' });
+
+  const workspaceId = req.query.workspace_id || (db.prepare(`
+    SELECT m.workspace_id FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id
+    WHERE m.user_id = ? AND m.role = 'manager' AND m.accepted_at IS NOT NULL
+    ORDER BY w.name COLLATE NOCASE ASC
+    LIMIT 1
+  `).get(req.user.id) || {}).workspace_id;
+  const workspace = workspaceFor(req, res, workspaceId, { manager: true });
+  if (!workspace) return;
+
+  const tz = getTimeZone(req.user.id);
+  const rows = db.prepare(`
+    SELECT m.user_id, u.username, m.role, s.task_type,
+      COUNT(s.id) AS sessions,
+      COALESCE(SUM(s.task_count), 0) AS tasks,
+      COALESCE(SUM(${WORKED_SECONDS}), 0) AS seconds
+    FROM workspace_members m
+    JOIN users u ON u.id = m.user_id
+    LEFT JOIN sessions s ON s.user_id = m.user_id
+      AND s.end_time IS NOT NULL
+      AND local_date(s.start_time, @tz) BETWEEN @from AND @to
+    WHERE m.workspace_id = @workspace AND m.accepted_at IS NOT NULL
+    GROUP BY m.user_id, s.task_type
+  `).all({ workspace: workspace.id, tz, from, to });
+
+  const summarize = ({ seconds, tasks, sessions }) => ({
+    sessions,
+    tasks,
+    seconds: Math.round(seconds),
+    hours: round2(seconds / 3600),
+    tasks_per_hour: seconds > 0 ? Math.round((tasks / (seconds / 3600)) * 10) / 10 : null,
+  });
+  const add = (acc, r) => {
+    acc.sessions += r.sessions;
+    acc.tasks += r.tasks;
+    acc.seconds += r.seconds;
+    return acc;
+  };
+  const zero = () => ({ sessions: 0, tasks: 0, seconds: 0 });
+
+  const members = new Map();
+  const taskTypes = new Map();
+  const totals = zero();
+  for (const r of rows) {
+    if (!members.has(r.user_id)) {
+      members.set(r.user_id, { user_id: r.user_id, username: r.username, role: r.role, ...zero(), task_types: [] });
+    }
+    if (r.task_type === null) continue; // member with no sessions in range
+    const member = members.get(r.user_id);
+    add(member, r);
+    member.task_types.push({ task_type: r.task_type, ...summarize(r) });
+    if (!taskTypes.has(r.task_type)) taskTypes.set(r.task_type, { task_type: r.task_type, ...zero() });
+    add(taskTypes.get(r.task_type), r);
+    add(totals, r);
+  }
+
+  const bySeconds = (a, b) => b.seconds - a.seconds;
+  res.json({
+    workspace: { id: workspace.id, name: workspace.name },
+    range: { from, to, timezone: tz },
+    totals: summarize(totals),
+    members: [...members.values()]
+      .map(({ task_types, ...m }) => ({ ...m, ...summarize(m), task_types: task_types.sort(bySeconds) }))
+      .sort(bySeconds),
+    task_types: [...taskTypes.values()].map(t => ({ task_type: t.task_type, ...summarize(t) })).sort(bySeconds),
+  });
+});
+
 // ─── Templates ──────────────────────────────────────────
+// content is the builder's saved state (chip selections and notes) as JSON.
+// The library lists the most-used first; loading a template counts as a use.
+function getTemplate(id, userId) {
+  return db.prepare('SELECT * FROM templates WHERE id = ? AND user_id = ?').get(id, userId);
+}
+
 app.get('/api/templates', (req, res) => {
-  const rows = db.prepare('SELECT * FROM templates ORDER BY created_at DESC').all();
+  const rows = db.prepare(`
+    SELECT * FROM templates
+    WHERE user_id = ? AND (? IS NULL OR task_type = ?)
+    ORDER BY use_count DESC, last_used_at DESC, created_at DESC, id DESC
+  `).all(req.user.id, req.query.task_type || null, req.query.task_type || null);
   res.json(rows);
 });
 
 app.post('/api/templates', (req, res) => {
   const { name, task_type, content } = req.body;
-  if (!name) return res.status(400).json({ error: 'Name is required' });
-  const info = db.prepare('INSERT INTO templates (name, task_type, content) VALUES (?, ?, ?)')
-    .run(name, task_type || 'general', JSON.stringify(content || {}));
-  const template = db.prepare('SELECT * FROM templates WHERE id = ?').get(info.lastInsertRowid);
-  res.status(201).json(template);
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+  const info = db.prepare('INSERT INTO templates (user_id, name, task_type, content) VALUES (?, ?, ?, ?)')
+    .run(req.user.id, name.trim(), task_type || 'general', JSON.stringify(content || {}));
+  res.status(201).json(getTemplate(info.lastInsertRowid, req.user.id));
+});
+
+app.put('/api/templates/:id', (req, res) => {
+  const existing = getTemplate(req.params.id, req.user.id);
+  if (!existing) return res.status(404).json({ error: 'Template not found' });
+
+  const { name, content } = req.body;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  db.prepare('UPDATE templates SET name = ?, content = ? WHERE id = ?').run(
+    name !== undefined ? name.trim() : existing.name,
+    content !== undefined ? JSON.stringify(content) : existing.content,
+    existing.id
+  );
+  res.json(getTemplate(existing.id, req.user.id));
+});
+
+app.post('/api/templates/:id/duplicate', (req, res) => {
+  const existing = getTemplate(req.params.id, req.user.id);
+  if (!existing) return res.status(404).json({ error: 'Template not found' });
+  const info = db.prepare('INSERT INTO templates (user_id, name, task_type, content) VALUES (?, ?, ?, ?)')
+    .run(req.user.id, `${existing.name} (copy)`, existing.task_type, existing.content);
+  res.status(201).json(getTemplate(info.lastInsertRowid, req.user.id));
+});
+
+app.post('/api/templates/:id/use', (req, res) => {
+  const info = db.prepare(`
+    UPDATE templates SET use_count = use_count + 1, last_used_at = datetime('now') WHERE id = ? AND user_id = ?
+  `).run(req.params.id, req.user.id);
+  if (info.changes === 0) return res.status(404).json({ error: 'Template not found' });
+  res.json(getTemplate(req.params.id, req.user.id));
 });
 
 app.delete('/api/templates/:id', (req, res) => {
-  db.prepare('DELETE FROM templates WHERE id = ?').run(req.params.id);
+  db.prepare('DELETE FROM templates WHERE id = ? AND user_id = ?').run(req.params.id, req.user.id);
+  res.json({ ok: true });
+});
+
+// ─── Builders ───────────────────────────────────────────
+// Definitions of the template builders (see builders.js for the format). Saved
+// templates point at a builder through its task_type. Builders are shared by
+// everyone on the deployment, so a team rates with the same chips; only admins
+// may change them.
+const ADMIN_ONLY = 'Only an admin can change builders';
+
+function getBuilder(id) {
+  const row = db.prepare('SELECT * FROM builders WHERE id = ?').get(id);
+  return row && { ...row, definition: JSON.parse(row.definition) };
+}
+
+app.get('/api/builders', (req, res) => {
+  const rows = db.prepare('SELECT * FROM builders ORDER BY id ASC').all();
+  res.json(rows.map(row => ({ ...row, definition: JSON.parse(row.definition) })));
+});
+
+app.post('/api/builders', (req, res) => {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: ADMIN_ONLY });
+  const error = validateBuilder(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  const { task_type, name, definition } = req.body;
+  if (db.prepare('SELECT 1 FROM builders WHERE task_type = ?').get(task_type)) {
+    return res.status(409).json({ error: `A builder for "${task_type}" already exists` });
+  }
+  const info = db.prepare('INSERT INTO builders (task_type, name, definition) VALUES (?, ?, ?)')
+    .run(task_type, name.trim(), JSON.stringify(definition));
+  res.status(201).json(getBuilder(info.lastInsertRowid));
+});
+
+// task_type is fixed once created: saved templates and sessions refer to it
+app.put('/api/builders/:id', (req, res) => {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: ADMIN_ONLY });
+  const existing = getBuilder(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Builder not found' });
+  if (req.body.task_type !== undefined && req.body.task_type !== existing.task_type) {
+    return res.status(400).json({ error: 'task_type cannot be changed' });
+  }
+
+  const error = validateBuilder(req.body, true);
+  if (error) return res.status(400).json({ error });
+
+  const { name, definition } = req.body;
+  db.prepare('UPDATE builders SET name = ?, definition = ? WHERE id = ?').run(
+    name !== undefined ? name.trim() : existing.name,
+    JSON.stringify(definition !== undefined ? definition : existing.definition),
+    existing.id
+  );
+  res.json(getBuilder(existing.id));
+});
+
+// Saved templates are kept; they load again if a builder with the same task_type returns
+app.delete('/api/builders/:id', (req, res) => {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: ADMIN_ONLY });
+  db.prepare('DELETE FROM builders WHERE id = ?').run(req.params.id);
   res.json({ ok: true });
 });
 
+// ─── Export / Import ────────────────────────────────────
+// A user's data as one versioned JSON bundle: projects, sessions (with their
+// breaks, focus intervals, task events and copy log), templates and settings,
+// plus the shared builders. Import merges a bundle into the signed-in account
+// and never overwrites. Rows already here are skipped:
+// - projects by name, templates by name and task type
+// - builders by task type (and all of them unless the importer is an admin)
+// - settings by key
+// - sessions by id and creation time, or by start time and task type
+// - sessions that overlap one already here or earlier in the bundle, counted
+//   as conflicts and listed with the session they overlap
+// Everything else gets new ids. ?dry_run=1 does the import inside a transaction
+// that is rolled back, so the counts it reports are exactly what a real import
+// would do.
+const EXPORT_FORMAT = 'remoteworkpal-export';
+const EXPORT_VERSION = 1;
+const SQL_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+function exportBundle(userId) {
+  const withoutOwner = ({ user_id, ...row }) => row;
+  const children = (table, order) => db.prepare(`SELECT * FROM ${table} WHERE session_id = ? ORDER BY ${order}`);
+  const breaks = children('session_breaks', 'start_time');
+  const intervals = children('focus_intervals', 'start_time');
+  const events = children('task_events', 'created_at, id');
+  const copies = children('copy_log', 'created_at, id');
+  const bare = ({ session_id, ...row }) => row;
+
+  const settings = {};
+  db.prepare('SELECT key, value FROM settings WHERE user_id = ?').all(userId).forEach(r => {
+    const def = definitionOf(r.key);
+    if (def) settings[r.key] = parseSetting(def, r.value);
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: sqlNow(),
+    projects: db.prepare('SELECT * FROM projects WHERE user_id = ? ORDER BY id').all(userId).map(withoutOwner),
+    sessions: db.prepare('SELECT * FROM sessions WHERE user_id = ? ORDER BY start_time, id').all(userId).map(s => ({
+      ...withoutOwner(s),
+      breaks: breaks.all(s.id).map(bare),
+      focus_intervals: intervals.all(s.id).map(bare),
+      task_events: events.all(s.id).map(bare),
+      copy_log: copies.all(s.id).map(bare),
+    })),
+    templates: db.prepare('SELECT * FROM templates WHERE user_id = ? ORDER BY id').all(userId).map(withoutOwner),
+    settings,
+    builders: db.prepare('SELECT id FROM builders ORDER BY id').all().map(b => getBuilder(b.id)),
+  };
+}
+
+function isSqlTime(value) {
+  return typeof value === 'string' && SQL_TIME.test(value);
+}
+
+// Start and (optional) end of a session, break or interval
+function checkSpan(row, where, endRequired) {
+  if (!isSqlTime(row.start_time)) return `${where}: start_time must be "YYYY-MM-DD HH:MM:SS" (UTC)`;
+  if (row.end_time === null || row.end_time === undefined) {
+    return endRequired ? `${where}: end_time is required` : null;
+  }
+  if (!isSqlTime(row.end_time)) return `${where}: end_time must be "YYYY-MM-DD HH:MM:SS" (UTC) or null`;
+  if (row.end_time < row.start_time) return `${where}: end_time is before start_time`;
+  return null;
+}
+
+function isJsonText(value) {
+  try {
+    JSON.parse(value);
+    return typeof value === 'string';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Returns an error message, or null if every row can be merged
+function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) {
+    return 'Not a Remote Work Hub export';
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) return 'version must be a positive whole number';
+  if (bundle.version > EXPORT_VERSION) return `This export is version ${bundle.version}; this server reads up to ${EXPORT_VERSION}`;
+
+  for (const list of ['projects', 'sessions', 'templates', 'builders']) {
+    if (bundle[list] !== undefined && !Array.isArray(bundle[list])) return `${list} must be a list`;
+  }
+  const isId = v => Number.isInteger(v) && v > 0;
+
+  for (const [i, p] of (bundle.projects || []).entries()) {
+    if (!p || !isId(p.id)) return `projects[${i}]: id must be a positive whole number`;
+    const error = validateProject(p, false);
+    if (error) return `projects[${i}]: ${error}`;
+  }
+
+  for (const [i, t] of (bundle.templates || []).entries()) {
+    const where = `templates[${i}]`;
+    if (!t || !isId(t.id)) return `${where}: id must be a positive whole number`;
+    if (typeof t.name !== 'string' || !t.name.trim()) return `${where}: name is required`;
+    if (typeof t.task_type !== 'string' || !t.task_type) return `${where}: task_type is required`;
+    if (!isJsonText(t.content)) return `${where}: content must be JSON text`;
+  }
+
+  for (const [i, b] of (bundle.builders || []).entries()) {
+    const error = validateBuilder(b || {}, false);
+    if (error) return `builders[${i}]: ${error}`;
+  }
+
+  for (const [i, s] of (bundle.sessions || []).entries()) {
+    const where = `sessions[${i}]`;
+    if (!s || !isId(s.id)) return `${where}: id must be a positive whole number`;
+    if (typeof s.task_type !== 'string' || !s.task_type) return `${where}: task_type is required`;
+    if (s.project_id !== null && s.project_id !== undefined && !isId(s.project_id)) return `${where}: project_id must be an id or null`;
+    if (s.task_count !== undefined && !(Number.isInteger(s.task_count) && s.task_count >= 0)) {
+      return `${where}: task_count must be a non-negative whole number`;
+    }
+    const error = checkSpan(s, where, false);
+    if (error) return error;
+
+    for (const list of ['breaks', 'focus_intervals', 'task_events', 'copy_log']) {
+      if (s[list] !== undefined && !Array.isArray(s[list])) return `${where}: ${list} must be a list`;
+    }
+    for (const [j, b] of (s.breaks || []).entries()) {
+      const at = `${where}.breaks[${j}]`;
+      const breakError = b ? checkSpan(b, at, false) : `${at}: must be an object`;
+      if (breakError) return breakError;
+      const outside = outsideSession(b.start_time, b.end_time, s);
+      if (outside) return `${at}: ${outside}`;
+    }
+    for (const [j, f] of (s.focus_intervals || []).entries()) {
+      const at = `${where}.focus_intervals[${j}]`;
+      if (!f || (f.kind !== 'work' && f.kind !== 'break')) return `${at}: kind must be 'work' or 'break'`;
+      if (!(Number.isInteger(f.planned_seconds) && f.planned_seconds > 0)) return `${at}: planned_seconds must be a positive whole number`;
+      const spanError = checkSpan(f, at, true);
+      if (spanError) return spanError;
+      const outside = outsideSession(f.start_time, f.end_time, s);
+      if (outside) return `${at}: ${outside}`;
+    }
+    for (const [j, e] of (s.task_events || []).entries()) {
+      const at = `${where}.task_events[${j}]`;
+      if (!e || !isId(e.id)) return `${at}: id must be a positive whole number`;
+      if (!isSqlTime(e.created_at)) return `${at}: created_at must be "YYYY-MM-DD HH:MM:SS" (UTC)`;
+    }
+    for (const [j, c] of (s.copy_log || []).entries()) {
+      const at = `${where}.copy_log[${j}]`;
+      if (!c || !isSqlTime(c.created_at)) return `${at}: created_at must be "YYYY-MM-DD HH:MM:SS" (UTC)`;
+      if (typeof c.task_type !== 'string' || typeof c.text !== 'string') return `${at}: task_type and text are required`;
+    }
+  }
+
+  if (bundle.settings !== undefined) {
+    const { errors } = validateSettings(bundle.settings);
+    if (Object.keys(errors).length) return `settings: ${Object.values(errors).join('; ')}`;
+  }
+  return null;
+}
+
+// Writes a validated bundle into the user's account; returns added/skipped counts
+function mergeBundle(user, bundle) {
+  const userId = user.id;
+  const count = () => ({ added: 0, skipped: 0 });
+  const summary = {
+    projects: count(), sessions: { ...count(), conflict: 0 }, templates: count(), builders: count(), settings: count(),
+    conflicts: [],
+  };
+
+  // Ids in the bundle mean nothing here; these map them to the rows they became
+  const projectIds = new Map();
+  const templateIds = new Map();
+
+  const findProject = db.prepare('SELECT id FROM projects WHERE user_id = ? AND name = ? COLLATE NOCASE');
+  const insertProject = db.prepare(`
+    INSERT INTO projects (user_id, name, hourly_rate, color, archived, min_rationale_chars, locale, tone, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+  `);
+  for (const p of bundle.projects || []) {
+    const existing = findProject.get(userId, p.name.trim());
+    if (existing) {
+      projectIds.set(p.id, existing.id);
+      summary.projects.skipped++;
+      continue;
+    }
+    const info = insertProject.run(userId, p.name.trim(), Number(p.hourly_rate) || 0, p.color || '#f97316',
+      p.archived ? 1 : 0, p.min_rationale_chars || 0, p.locale || '', p.tone || '', p.created_at || null);
+    projectIds.set(p.id, info.lastInsertRowid);
+    summary.projects.added++;
+  }
+
+  const findTemplate = db.prepare('SELECT id FROM templates WHERE user_id = ? AND name = ? AND task_type = ?');
+  const insertTemplate = db.prepare(`
+    INSERT INTO templates (user_id, name, task_type, content, use_count, last_used_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+  `);
+  for (const t of bundle.templates || []) {
+    const existing = findTemplate.get(userId, t.name.trim(), t.task_type);
+    if (existing) {
+      templateIds.set(t.id, existing.id);
+      summary.templates.skipped++;
+      continue;
+    }
+    const info = insertTemplate.run(userId, t.name.trim(), t.task_type, t.content,
+      Number.isInteger(t.use_count) ? t.use_count : 0, t.last_used_at || null, t.created_at || null);
+    templateIds.set(t.id, info.lastInsertRowid);
+    summary.templates.added++;
+  }
+
+  const insertBuilder = db.prepare('INSERT OR IGNORE INTO builders (task_type, name, definition) VALUES (?, ?, ?)');
+  // Builders are shared, so as with the builder routes only an admin's import adds them
+  for (const b of bundle.builders || []) {
+    const added = isAdmin(user) && insertBuilder.run(b.task_type, b.name.trim(), JSON.stringify(b.definition)).changes;
+    summary.builders[added ? 'added' : 'skipped']++;
+  }
+
+  const findSession = db.prepare(`
+    SELECT id FROM sessions
+    WHERE user_id = @user AND ((id = @id AND created_at = @created_at) OR (start_time = @start_time AND task_type = @task_type))
+  `);
+  const insertSession = db.prepare(`
+    INSERT INTO sessions (user_id, task_type, project_id, start_time, end_time, task_count, notes, last_activity_at, auto_stopped, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+  `);
+  const insertBreak = db.prepare('INSERT INTO session_breaks (session_id, start_time, end_time) VALUES (?, ?, ?)');
+  const insertInterval = db.prepare(`
+    INSERT INTO focus_intervals (session_id, kind, planned_seconds, start_time, end_time, completed) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const insertEvent = db.prepare('INSERT INTO task_events (session_id, created_at, template_id, label) VALUES (?, ?, ?, ?)');
+  const insertCopy = db.prepare(`
+    INSERT INTO copy_log (session_id, task_event_id, created_at, task_type, builder_name, summary, selections, text)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  // Rows added from this bundle, so an overlap between two of its sessions names the session
+  const added = new Map();
+  for (const [i, s] of (bundle.sessions || []).entries()) {
+    const ref = `session ${i + 1}`;
+    const duplicate = findSession.get({
+      user: userId, id: s.id, created_at: s.created_at || null, start_time: s.start_time, task_type: s.task_type,
+    });
+    // Only one timer runs at a time; a running session in the bundle waits its turn
+    if (duplicate || (!s.end_time && getActiveSession(userId))) {
+      summary.sessions.skipped++;
+      continue;
+    }
+    const overlap = findOverlap(userId, s.start_time, s.end_time || null);
+    if (overlap) {
+      summary.sessions.conflict++;
+      summary.conflicts.push({
+        ref, start_time: s.start_time, end_time: s.end_time || null, task_type: s.task_type,
+        conflict: added.has(overlap.id) ? { ref: added.get(overlap.id) } : { session: overlap },
+      });
+      continue;
+    }
+
+    const sessionId = insertSession.run(userId, s.task_type, projectIds.get(s.project_id) || null, s.start_time,
+      s.end_time || null, s.task_count || 0, s.notes || '', s.last_activity_at || null, s.auto_stopped ? 1 : 0,
+      s.created_at || null).lastInsertRowid;
+    added.set(sessionId, ref);
+    (s.breaks || []).forEach(b => insertBreak.run(sessionId, b.start_time, b.end_time || null));
+    (s.focus_intervals || []).forEach(f => insertInterval.run(sessionId, f.kind, f.planned_seconds, f.start_time,
+      f.end_time, f.completed === 0 ? 0 : 1));
+    const eventIds = new Map();
+    (s.task_events || []).forEach(e => {
+      const info = insertEvent.run(sessionId, e.created_at, templateIds.get(e.template_id) || null, e.label || '');
+      eventIds.set(e.id, info.lastInsertRowid);
+    });
+    (s.copy_log || []).forEach(c => insertCopy.run(sessionId, eventIds.get(c.task_event_id) || null, c.created_at,
+      c.task_type, c.builder_name || '', c.summary || '', typeof c.selections === 'string' ? c.selections : '{}', c.text));
+    summary.sessions.added++;
+  }
+
+  const { values } = validateSettings(bundle.settings || {});
+  const insertSetting = db.prepare(`
+    INSERT INTO settings (user_id, key, value) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, key) DO NOTHING
+  `);
+  for (const [key, value] of Object.entries(values)) {
+    const added = value !== null && insertSetting.run(userId, key, value).changes > 0;
+    summary.settings[added ? 'added' : 'skipped']++;
+  }
+
+  return summary;
+}
+
+const ROLLBACK = new Error('dry run');
+
+app.get('/api/export', (req, res) => {
+  const filename = `remoteworkpal-export-${todayIn(getTimeZone(req.user.id))}.json`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.json(exportBundle(req.user.id));
+});
+
+app.post('/api/import', importBody, (req, res) => {
+  const error = validateBundle(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+  let summary;
+  try {
+    db.transaction(() => {
+      summary = mergeBundle(req.user, req.body);
+      if (dryRun) throw ROLLBACK;
+    })();
+  } catch (err) {
+    if (err !== ROLLBACK) throw err;
+  }
+  res.json({ dry_run: dryRun, ...summary });
+});
+
+// ─── Session Import (Toggl, Clockify, iCalendar) ────────
+// Time tracked elsewhere, as sessions. importers.js reads the file; here each
+// entry is checked like a hand-entered session and skipped if it overlaps one
+// already recorded (or an earlier entry in the same file). Projects are matched
+// by name, and entries without a match are left unassigned. An entry's task
+// type comes from the file when it names one, else from the request. The
+// import commits in one transaction. ?dry_run=1 rolls that transaction back, so
+// the preview lists exactly what would be added.
+app.post('/api/import/sessions', importBody, (req, res) => {
+  const { content, task_type, time_zone, date_order } = req.body;
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({ error: "content is required (the file's text)" });
+  }
+  if (time_zone !== undefined && !isValidTimeZone(time_zone)) {
+    return res.status(400).json({ error: `Unknown time zone: ${time_zone}` });
+  }
+  if (date_order !== undefined && date_order !== 'mdy' && date_order !== 'dmy') {
+    return res.status(400).json({ error: "date_order must be 'mdy' or 'dmy'" });
+  }
+
+  const tz = time_zone || getTimeZone(req.user.id);
+  const parsed = parseSessionFile(content, { timeZone: tz, dateOrder: date_order });
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const taskType = typeof task_type === 'string' && task_type.trim() ? task_type.trim() : 'general';
+  const projects = new Map(db.prepare('SELECT id, name FROM projects WHERE user_id = ?').all(req.user.id)
+    .map(p => [p.name.toLowerCase(), p.id]));
+  const insert = db.prepare(`
+    INSERT INTO sessions (user_id, task_type, project_id, start_time, end_time, notes, last_activity_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const dryRun = req.query.dry_run === '1' || req.query.dry_run === 'true';
+  const entries = parsed.errors.map(e => ({ ref: e.ref, status: 'invalid', error: e.error }));
+  try {
+    db.transaction(() => {
+      // Rows added by this import, so an overlap between two entries names the entry
+      const added = new Map();
+      [...parsed.entries].sort((a, b) => a.start_time.localeCompare(b.start_time)).forEach(entry => {
+        const projectId = projects.get(entry.project.toLowerCase()) || null;
+        const row = {
+          ref: entry.ref,
+          start_time: entry.start_time,
+          end_time: entry.end_time,
+          notes: entry.notes,
+          project_id: projectId,
+          task_type: entry.task_type || taskType,
+        };
+
+        const spanError = validateSpan(entry.start_time, entry.end_time);
+        if (spanError) return entries.push({ ...row, status: 'invalid', error: spanError });
+        const overlap = findOverlap(req.user.id, entry.start_time, entry.end_time);
+        if (overlap) {
+          const conflict = added.has(overlap.id) ? { ref: added.get(overlap.id) } : { session: overlap };
+          return entries.push({ ...row, status: 'conflict', conflict });
+        }
+
+        const info = insert.run(req.user.id, row.task_type, projectId, entry.start_time, entry.end_time, entry.notes, entry.end_time);
+        added.set(info.lastInsertRowid, entry.ref);
+        entries.push({ ...row, status: 'new' });
+      });
+      if (dryRun) throw ROLLBACK;
+    })();
+  } catch (err) {
+    if (err !== ROLLBACK) throw err;
+  }
+
+  const count = status => entries.filter(e => e.status === status).length;
+  res.json({
+    dry_run: dryRun,
+    format: parsed.format,
+    time_zone: tz,
+    task_type: taskType,
+    counts: { new: count('new'), conflict: count('conflict'), invalid: count('invalid') },
+    entries,
+  });
+});
+
+// ─── Backups ────────────────────────────────────────────
+// BACKUP_DIR turns on snapshots of the whole database every
+// BACKUP_INTERVAL_HOURS (default 24), keeping the newest BACKUP_KEEP (default 14).
+function positiveEnv(name, fallback, max) {
+  const n = Number(process.env[name]);
+  return n > 0 && n <= max ? n : fallback;
+}
+
+if (process.env.BACKUP_DIR) {
+  scheduleBackups(db, {
+    dir: path.resolve(process.env.BACKUP_DIR),
+    intervalHours: positiveEnv('BACKUP_INTERVAL_HOURS', 24, 24 * 24),
+    keep: Math.floor(positiveEnv('BACKUP_KEEP', 14, 1000)),
+  });
+}
+
+autoStopForgottenSessions();
+setInterval(autoStopForgottenSessions, AUTO_STOP_INTERVAL_MS).unref();
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Remote Work Hub running at http://localhost:${PORT}`);
 });
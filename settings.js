@@ -0,0 +1,259 @@
+// Per-user settings are declared here rather than read ad hoc by the routes:
+// each key's type, default, allowed range and the wording the Settings view
+// shows for it. PUT /api/settings checks values against this list, GET
+// /api/settings fills in defaults, and the page renders an input for every
+// setting with a `group` (the rest have their own controls).
+//
+// {
+//   key: "daily_goal_hours",
+//   type: "number" | "boolean" | "url" | "text" | "timezone" | "json",
+//   default: 4,
+//   min, max, step,                 // number
+//   maxLength, multiline,           // text and url
+//   check: value => message|null,   // json: extra rule for the parsed value
+//   group, label, description, placeholder
+// }
+//
+// Values are stored as text. An empty value (or null) clears the setting so the
+// default applies again. A stored value that no longer parses also reads as
+// the default, so a bad row can't turn into NaN downstream.
+const { isValidTimeZone } = require('./timezone');
+
+const GROUPS = [
+  { id: 'goals', title: 'Daily Goal', description: 'Tracked hours that fill the ring on Home.' },
+  { id: 'integrations', title: 'Integration URLs' },
+  {
+    id: 'idle',
+    title: 'Idle Detection',
+    description: 'Flag a running timer with no activity (taps, +1 task, pause) and stop sessions that run too long. Use 0 to turn either check off.',
+  },
+  {
+    id: 'rationale',
+    title: 'Rationale Checks',
+    description: 'Builders warn about contradictions, missing picks, short text and these phrases before you copy.',
+  },
+  {
+    id: 'invoicing',
+    title: 'Invoicing',
+    description: 'Printed on every invoice; ones already issued keep the details they were created with. Numbers carry on from your last invoice, or start at First Number.',
+  },
+];
+
+// Key bindings the user changed: { "timer-toggle": "Ctrl+Enter", "builder-copy": "" }
+function checkShortcuts(map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return 'must be an object of command id to keys';
+  const bad = Object.entries(map).find(([, keys]) => typeof keys !== 'string' || keys.length > 32);
+  return bad ? `keys for "${bad[0]}" must be text of up to 32 characters` : null;
+}
+
+const SETTINGS = [
+  {
+    key: 'daily_goal_hours', type: 'number', default: 4, min: 0.5, max: 24, step: 0.5,
+    group: 'goals', label: 'Goal (h per day)',
+  },
+  {
+    key: 'handshake_url', type: 'url', default: process.env.HANDSHAKE_PROJECT_URL || '', maxLength: 2000,
+    group: 'integrations', label: 'Handshake Project URL', placeholder: 'https://app.joinhandshake.com/...',
+  },
+  {
+    key: 'multimango_url', type: 'url', default: process.env.MULTIMANGO_URL || '', maxLength: 2000,
+    group: 'integrations', label: 'Multimango URL', placeholder: 'https://...',
+  },
+  {
+    key: 'idle_timeout_minutes', type: 'number', default: 30, min: 0, max: 1440, step: 5,
+    group: 'idle', label: 'Idle After (min)',
+  },
+  {
+    key: 'max_session_hours', type: 'number', default: 12, min: 0, max: 72, step: 1,
+    group: 'idle', label: 'Max Session (h)',
+  },
+  {
+    key: 'banned_phrases', type: 'text', default: '', maxLength: 2000, multiline: true,
+    group: 'rationale', label: 'Banned Phrases (one per line)', placeholder: 'e.g. as an AI',
+  },
+  {
+    key: 'rationale_strict', type: 'boolean', default: false,
+    group: 'rationale', label: 'Strict — block copying until fixed',
+  },
+  {
+    key: 'invoice_business_name', type: 'text', default: '', maxLength: 200,
+    group: 'invoicing', label: 'Your Name or Business',
+  },
+  {
+    key: 'invoice_business_details', type: 'text', default: '', maxLength: 2000, multiline: true,
+    group: 'invoicing', label: 'Address and Contact (one per line)', placeholder: 'Street, city\nEmail\nTax ID',
+  },
+  {
+    key: 'invoice_client', type: 'text', default: '', maxLength: 2000, multiline: true,
+    group: 'invoicing', label: 'Default Bill To (one per line)',
+  },
+  {
+    key: 'invoice_currency', type: 'text', default: '$', maxLength: 4,
+    group: 'invoicing', label: 'Currency Symbol',
+  },
+  {
+    key: 'invoice_tax_label', type: 'text', default: 'Tax', maxLength: 40,
+    group: 'invoicing', label: 'Tax Name', placeholder: 'e.g. VAT',
+  },
+  {
+    key: 'invoice_prefix', type: 'text', default: 'INV-', maxLength: 20,
+    group: 'invoicing', label: 'Number Prefix',
+  },
+  {
+    key: 'invoice_tax_rate', type: 'number', default: 0, min: 0, max: 100, step: 0.01,
+    group: 'invoicing', label: 'Tax Rate (%)',
+  },
+  {
+    key: 'invoice_due_days', type: 'number', default: 14, min: 0, max: 365, step: 1,
+    group: 'invoicing', label: 'Payment Due (days)',
+  },
+  {
+    key: 'invoice_start_number', type: 'number', default: 1, min: 1, max: 999999, step: 1,
+    group: 'invoicing', label: 'First Number',
+  },
+  {
+    key: 'invoice_notes', type: 'text', default: '', maxLength: 2000, multiline: true,
+    group: 'invoicing', label: 'Payment Details', placeholder: 'Bank details, terms...',
+  },
+  {
+    key: 'timezone', type: 'timezone', default: '',
+    label: 'Time Zone', description: 'IANA zone days are counted in; empty uses the server\'s zone.',
+  },
+  {
+    key: 'shortcuts', type: 'json', default: {}, check: checkShortcuts,
+    label: 'Keyboard Shortcuts', description: 'Bindings changed from the defaults.',
+  },
+];
+
+const BY_KEY = new Map(SETTINGS.map(s => [s.key, s]));
+
+function describeRange(def) {
+  if (def.max === undefined) return `must be ${def.min} or more`;
+  return `must be between ${def.min} and ${def.max}`;
+}
+
+// Turns an incoming value into the text to store: { value } (null clears the
+// setting) or { error }
+function checkValue(def, input) {
+  if (input === null || input === undefined || input === '') return { value: null };
+
+  switch (def.type) {
+    case 'number': {
+      const n = typeof input === 'number' ? input : (typeof input === 'string' ? Number(input.trim()) : NaN);
+      if (!Number.isFinite(n)) return { error: 'must be a number' };
+      if ((def.min !== undefined && n < def.min) || (def.max !== undefined && n > def.max)) {
+        return { error: describeRange(def) };
+      }
+      return { value: String(n) };
+    }
+    case 'boolean': {
+      if (input === true || input === '1' || input === 'true') return { value: '1' };
+      if (input === false || input === '0' || input === 'false') return { value: '0' };
+      return { error: 'must be true or false' };
+    }
+    case 'url': {
+      if (typeof input !== 'string') return { error: 'must be a URL' };
+      const url = input.trim();
+      if (!url) return { value: null };
+      if (url.length > def.maxLength) return { error: `must be at most ${def.maxLength} characters` };
+      if (!/^https?:\/\/\S+$/i.test(url)) return { error: 'must be an http:// or https:// URL' };
+      return { value: url };
+    }
+    case 'text': {
+      if (typeof input !== 'string') return { error: 'must be text' };
+      const text = def.multiline
+        ? input.split('\n').map(line => line.trim()).filter(Boolean).join('\n')
+        : input.trim();
+      if (text.length > def.maxLength) return { error: `must be at most ${def.maxLength} characters` };
+      return { value: text || null };
+    }
+    case 'timezone': {
+      if (typeof input !== 'string' || !isValidTimeZone(input)) return { error: 'must be an IANA zone such as Europe/Berlin' };
+      return { value: input };
+    }
+    case 'json': {
+      let value = input;
+      // Older clients send the JSON as a string
+      if (typeof input === 'string') {
+        try {
+          value = JSON.parse(input);
+        } catch (e) {
+          return { error: 'must be valid JSON' };
+        }
+      }
+      const error = def.check && def.check(value);
+      return error ? { error } : { value: JSON.stringify(value) };
+    }
+    default:
+      return { error: 'has an unknown type' };
+  }
+}
+
+// Checks a PUT body. Returns { values: { key: text|null }, errors: { key: message } };
+// nothing should be stored unless `errors` is empty.
+function validateSettings(entries) {
+  const values = {};
+  const errors = {};
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    return { values, errors: { _: 'Expected an object of key/value pairs' } };
+  }
+  for (const [key, input] of Object.entries(entries)) {
+    const def = BY_KEY.get(key);
+    if (!def) {
+      errors[key] = `${key} is not a known setting`;
+      continue;
+    }
+    const { value, error } = checkValue(def, input);
+    if (error) errors[key] = `${def.label} ${error}`;
+    else values[key] = value;
+  }
+  return { values, errors };
+}
+
+function definitionOf(key) {
+  return BY_KEY.get(key) || null;
+}
+
+// A stored value in its declared type, or the default if it's missing or no
+// longer valid
+function parseSetting(def, stored) {
+  if (stored === null || stored === undefined || stored === '') return def.default;
+  switch (def.type) {
+    case 'number': {
+      const n = Number(stored);
+      const inRange = (def.min === undefined || n >= def.min) && (def.max === undefined || n <= def.max);
+      return Number.isFinite(n) && inRange ? n : def.default;
+    }
+    case 'boolean':
+      return stored === '1';
+    case 'timezone':
+      return isValidTimeZone(stored) ? stored : def.default;
+    case 'json':
+      try {
+        const value = JSON.parse(stored);
+        return def.check && def.check(value) ? def.default : value;
+      } catch (e) {
+        return def.default;
+      }
+    default:
+      return stored;
+  }
+}
+
+// Every declared setting, typed, from the user's { key, value } rows
+function readSettings(rows) {
+  const stored = new Map(rows.map(r => [r.key, r.value]));
+  const out = {};
+  SETTINGS.forEach(def => { out[def.key] = parseSetting(def, stored.get(def.key)); });
+  return out;
+}
+
+// The declarations as JSON for the Settings view (without the check functions)
+function publicSchema() {
+  return {
+    groups: GROUPS,
+    settings: SETTINGS.map(({ check, ...def }) => def),
+  };
+}
+
+module.exports = { SETTINGS, definitionOf, validateSettings, parseSetting, readSettings, publicSchema };
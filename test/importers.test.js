@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseCsv, parseSessionFile } = require('../importers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const NEW_YORK = { timeZone: 'America/New_York' };
+
+const CLOCKIFY_HEADER = 'Project,Description,Tags,Start Date,Start Time,End Date,End Time';
+
+test('parseCsv handles quoted commas, doubled quotes, line breaks and CRLF', () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n"two\nlines",,x\r\n'), [
+    ['a', 'b, c', 'say "hi"'],
+    ['two\nlines', '', 'x'],
+  ]);
+  assert.deepEqual(parseCsv('a,b'), [['a', 'b']]);
+});
+
+test('Toggl export: wall times in the given zone, quoted fields, tags as task type', () => {
+  const { format, entries, errors } = parseSessionFile(fixture('toggl.csv'), NEW_YORK);
+  assert.equal(format, 'toggl');
+  assert.deepEqual(entries, [
+    {
+      ref: 'row 2', start_time: '2024-03-09 14:00:00', end_time: '2024-03-09 15:30:00',
+      notes: 'Rated pairs, batch 12', project: 'Acme', task_type: 'h2h',
+    },
+    // Crosses midnight into the spring-forward day; still read as EST
+    {
+      ref: 'row 3', start_time: '2024-03-10 04:30:00', end_time: '2024-03-10 05:15:00',
+      notes: 'Graph Review', project: 'Internal', task_type: 'graph-review',
+    },
+    {
+      ref: 'row 4', start_time: '2024-03-11 18:00:00', end_time: '2024-03-11 19:00:00',
+      notes: 'Said "done" twice\nthen left', project: '', task_type: '',
+    },
+  ]);
+  assert.deepEqual(errors, [{ ref: 'row 5', error: 'Start or end date/time could not be read' }]);
+});
+
+test('Clockify export: a day over 12 makes every date day-first', () => {
+  const { format, entries, errors } = parseSessionFile(fixture('clockify.csv'), NEW_YORK);
+  assert.equal(format, 'clockify');
+  assert.deepEqual(entries.map(e => [e.start_time, e.end_time, e.task_type]), [
+    ['2024-04-03 13:15:00', '2024-04-03 15:45:00', 'multimango'],
+    ['2024-04-15 17:00:00', '2024-04-15 18:00:00', 'sprint-planning'],
+  ]);
+  assert.deepEqual(errors, [{ ref: 'row 4', error: 'Ends before it starts' }]);
+});
+
+test('Clockify export: a second part over 12 makes dates month-first', () => {
+  const csv = `${CLOCKIFY_HEADER}\n,A,,03/04/2024,09:00,03/04/2024,10:00\n,B,,04/13/2024,09:00,04/13/2024,10:00\n`;
+  const { entries } = parseSessionFile(csv, { timeZone: 'UTC' });
+  assert.deepEqual(entries.map(e => e.start_time), ['2024-03-04 09:00:00', '2024-04-13 09:00:00']);
+});
+
+test('Clockify export: ambiguous dates are month-first unless dateOrder says otherwise', () => {
+  const csv = `${CLOCKIFY_HEADER}\n,A,,03/04/2024,09:00,03/04/2024,10:00\n`;
+  assert.equal(parseSessionFile(csv, { timeZone: 'UTC' }).entries[0].start_time, '2024-03-04 09:00:00');
+  assert.equal(parseSessionFile(csv, { timeZone: 'UTC', dateOrder: 'dmy' }).entries[0].start_time, '2024-04-03 09:00:00');
+});
+
+test('CSV dates that do not exist are rejected', () => {
+  const csv = `${CLOCKIFY_HEADER}\n,A,,02/30/2024,09:00,02/30/2024,10:00\n`;
+  const { entries, errors } = parseSessionFile(csv, { timeZone: 'UTC' });
+  assert.equal(entries.length, 0);
+  assert.equal(errors[0].error, 'Start or end date/time could not be read');
+});
+
+test('A CSV without the time columns is not a tracker export', () => {
+  assert.match(parseSessionFile('Date,Hours\n2024-03-04,2\n', NEW_YORK).error, /Unrecognised CSV/);
+});
+
+test('iCalendar: Z, TZID and floating times, DURATION, folded lines and categories', () => {
+  const { format, entries } = parseSessionFile(fixture('calendar.ics'), NEW_YORK);
+  assert.equal(format, 'ics');
+  assert.deepEqual(entries, [
+    {
+      ref: 'event 1 (Rating block)', start_time: '2024-03-10 14:00:00', end_time: '2024-03-10 15:30:00',
+      notes: 'Rating block\nPairs 1-40, then a long note that the exporter folded onto a second line',
+      project: 'Acme', task_type: 'h2h',
+    },
+    // Berlin's clocks jump at 02:00 that night, so this two-hour block is one hour long
+    {
+      ref: 'event 2 (Review)', start_time: '2024-03-31 00:30:00', end_time: '2024-03-31 01:30:00',
+      notes: 'Review', project: 'Acme, Inc', task_type: 'graph-review',
+    },
+    {
+      ref: 'event 3 (Floating)', start_time: '2024-03-11 13:00:00', end_time: '2024-03-11 14:00:00',
+      notes: 'Floating', project: '', task_type: '',
+    },
+    {
+      ref: 'event 4 (Timed)', start_time: '2024-03-12 09:00:00', end_time: '2024-03-12 10:30:00',
+      notes: 'Timed', project: '', task_type: '',
+    },
+  ]);
+});
+
+test('iCalendar: recurring, all-day, cancelled and backwards events are refused', () => {
+  const { errors } = parseSessionFile(fixture('calendar.ics'), NEW_YORK);
+  assert.deepEqual(errors, [
+    { ref: 'event 5 (Standup)', error: 'Recurring event' },
+    { ref: 'event 6 (Holiday)', error: 'All-day event (no times)' },
+    { ref: 'event 7 (Call)', error: 'Cancelled event' },
+    { ref: 'event 8', error: 'Ends before it starts' },
+  ]);
+});
+
+test('iCalendar: unknown zones, bad durations and missing ends are reported per event', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'DTSTART;TZID=Mars/Olympus:20240301T090000', 'DTEND;TZID=Mars/Olympus:20240301T100000', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART:20240301T090000Z', 'DURATION:1 hour', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART:20240301T090000Z', 'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const { entries, errors } = parseSessionFile(ics, NEW_YORK);
+  assert.equal(entries.length, 0);
+  assert.deepEqual(errors.map(e => e.error), [
+    'Unknown time zone "Mars/Olympus"',
+    'Unreadable duration "1 hour"',
+    'No end time or duration',
+  ]);
+});
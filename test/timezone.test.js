@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { localDate, localDateTime, zonedTimeToUtc, streaks, addDays } = require('../timezone');
+
+// 2024 changes: US springs forward Mar 10 and falls back Nov 3 (02:00 local),
+// the EU on Mar 31 and Oct 27 (01:00 UTC), and Chile moves its clocks at
+// midnight: Sep 8 has no 00:00, Apr 7 has 23:00 twice on the day before.
+
+test('localDate buckets instants either side of a change into the right day', () => {
+  assert.equal(localDate('2024-03-10 04:59:59', 'America/New_York'), '2024-03-09');
+  assert.equal(localDate('2024-03-10 05:00:00', 'America/New_York'), '2024-03-10');
+  assert.equal(localDate('2024-03-11 03:59:59', 'America/New_York'), '2024-03-10');
+  assert.equal(localDate('2024-03-11 04:00:00', 'America/New_York'), '2024-03-11');
+  assert.equal(localDate('2024-11-04 04:59:59', 'America/New_York'), '2024-11-03');
+  assert.equal(localDate('2024-11-04 05:00:00', 'America/New_York'), '2024-11-04');
+  assert.equal(localDate('2024-03-30 22:59:59', 'Europe/Berlin'), '2024-03-30');
+  assert.equal(localDate('2024-03-30 23:00:00', 'Europe/Berlin'), '2024-03-31');
+  assert.equal(localDate('2024-10-27 22:59:59', 'Europe/Berlin'), '2024-10-27');
+  assert.equal(localDate('2024-10-27 23:00:00', 'Europe/Berlin'), '2024-10-28');
+  assert.equal(localDate('2024-09-08 03:59:59', 'America/Santiago'), '2024-09-07');
+  assert.equal(localDate('2024-09-08 04:00:00', 'America/Santiago'), '2024-09-08');
+});
+
+test('localDate accepts Dates and rejects garbage', () => {
+  assert.equal(localDate(new Date('2024-06-01T02:00:00Z'), 'America/Los_Angeles'), '2024-05-31');
+  assert.equal(localDate('not a time', 'UTC'), null);
+});
+
+test('zonedTimeToUtc converts ordinary wall times with the offset in force', () => {
+  assert.equal(zonedTimeToUtc('2024-03-09 00:00:00', 'America/New_York'), '2024-03-09 05:00:00');
+  assert.equal(zonedTimeToUtc('2024-03-11 00:00:00', 'America/New_York'), '2024-03-11 04:00:00');
+  assert.equal(zonedTimeToUtc('2024-07-01 12:00:00', 'Asia/Kolkata'), '2024-07-01 06:30:00');
+  assert.equal(zonedTimeToUtc('2024-07-01 12:00:00', 'UTC'), '2024-07-01 12:00:00');
+  assert.equal(zonedTimeToUtc('2024-07-01 nonsense', 'UTC'), null);
+});
+
+test('zonedTimeToUtc moves a skipped wall time forward past the gap', () => {
+  assert.equal(zonedTimeToUtc('2024-03-10 02:30:00', 'America/New_York'), '2024-03-10 07:30:00');
+  assert.equal(zonedTimeToUtc('2024-03-31 02:30:00', 'Europe/Berlin'), '2024-03-31 01:30:00');
+});
+
+test('zonedTimeToUtc starts a day whose midnight is skipped when its clocks do', () => {
+  const start = zonedTimeToUtc('2024-09-08 00:00:00', 'America/Santiago');
+  assert.equal(start, '2024-09-08 04:00:00');
+  assert.equal(localDate(start, 'America/Santiago'), '2024-09-08');
+  assert.equal(zonedTimeToUtc('2024-09-08 01:00:00', 'America/Santiago'), '2024-09-08 04:00:00');
+});
+
+test('zonedTimeToUtc picks the first of a repeated wall time', () => {
+  assert.equal(zonedTimeToUtc('2024-11-03 01:30:00', 'America/New_York'), '2024-11-03 05:30:00');
+  assert.equal(zonedTimeToUtc('2024-10-27 02:30:00', 'Europe/Berlin'), '2024-10-27 00:30:00');
+  assert.equal(zonedTimeToUtc('2024-04-06 23:30:00', 'America/Santiago'), '2024-04-07 02:30:00');
+  assert.equal(zonedTimeToUtc('2024-04-07 00:00:00', 'America/Santiago'), '2024-04-07 04:00:00');
+});
+
+test('zonedTimeToUtc round-trips every hour of the change days', () => {
+  const cases = [
+    ['America/New_York', '2024-03-10'], ['America/New_York', '2024-11-03'],
+    ['Europe/Berlin', '2024-03-31'], ['Europe/Berlin', '2024-10-27'],
+    ['America/Santiago', '2024-04-07'],
+  ];
+  for (const [zone, day] of cases) {
+    for (let h = 0; h < 24; h++) {
+      const utc = zonedTimeToUtc(`${day} ${String(h).padStart(2, '0')}:15:00`, zone);
+      const back = localDateTime(utc, zone);
+      // Skipped hours come back an hour later; every other hour exactly
+      assert.ok(back === `${day} ${String(h).padStart(2, '0')}:15:00`
+        || back === `${day} ${String(h + 1).padStart(2, '0')}:15:00`, `${zone} ${day} ${h}:15 -> ${back}`);
+    }
+  }
+});
+
+test('addDays steps whole calendar days across changes', () => {
+  assert.equal(addDays('2024-03-09', 1), '2024-03-10');
+  assert.equal(addDays('2024-03-10', 1), '2024-03-11');
+  assert.equal(addDays('2024-11-03', -1), '2024-11-02');
+  assert.equal(addDays('2024-10-26', 2), '2024-10-28');
+  assert.equal(addDays('2024-09-07', 1), '2024-09-08');
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+});
+
+test('streaks run unbroken through change days', () => {
+  const days = ['2024-03-08', '2024-03-09', '2024-03-10', '2024-03-11'];
+  assert.deepEqual(streaks(days, '2024-03-11'), { current: 4, best: 4 });
+  assert.deepEqual(streaks(['2024-10-26', '2024-10-27', '2024-10-28'], '2024-10-29'), { current: 3, best: 3 });
+  assert.deepEqual(streaks(['2024-09-07', '2024-09-08'], '2024-09-08'), { current: 2, best: 2 });
+});
+
+test('streaks keep the best run and drop a stale current one', () => {
+  const days = ['2024-11-01', '2024-11-02', '2024-11-03', '2024-11-04', '2024-11-10', '2024-11-11', '2024-11-11'];
+  assert.deepEqual(streaks(days, '2024-11-11'), { current: 2, best: 4 });
+  assert.deepEqual(streaks(days, '2024-11-13'), { current: 0, best: 4 });
+  assert.deepEqual(streaks([], '2024-11-13'), { current: 0, best: 0 });
+});
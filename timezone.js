@@ -0,0 +1,104 @@
+// Day bucketing in the user's time zone. Sessions are stored in UTC, so a
+// session's "day" depends on the zone it is viewed from, and a day is not always
+// 24 hours long (DST). Everything here works on calendar dates ("YYYY-MM-DD")
+// and converts each instant on its own, so neither problem leaks into the stats.
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// "YYYY-MM-DD HH:MM:SS" as wall-clock time in `timeZone`
+function localDateTime(value, timeZone) {
+  const d = value instanceof Date ? value : new Date(String(value).replace(' ', 'T') + 'Z');
+  if (Number.isNaN(d.getTime())) return null;
+  const parts = {};
+  formatterFor(timeZone).formatToParts(d).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// The reverse: the UTC SQL timestamp at which clocks in `timeZone` show
+// `dateTime`. The zone's offsets a day either side are the only candidates (no
+// zone changes twice in two days). A wall time a change repeats gets its first
+// occurrence; one a change skips (Santiago's midnight on its spring-forward
+// day) is read with the earlier offset, which lands on the first instant after
+// the gap, the moment that day's clocks actually start.
+function zonedTimeToUtc(dateTime, timeZone) {
+  const wall = Date.parse(String(dateTime).replace(' ', 'T') + 'Z');
+  if (Number.isNaN(wall)) return null;
+  const offsetAt = t => Date.parse(localDateTime(new Date(t), timeZone).replace(' ', 'T') + 'Z') - t;
+  const before = wall - offsetAt(wall - 86400000);
+  const after = wall - offsetAt(wall + 86400000);
+  const shows = t => offsetAt(t) === wall - t;
+  const utc = [Math.min(before, after), Math.max(before, after)].find(shows) ?? before;
+  return new Date(utc).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Calendar date of a UTC SQL timestamp (or Date) in `timeZone`
+function localDate(value, timeZone) {
+  const dt = localDateTime(value, timeZone);
+  return dt ? dt.slice(0, 10) : null;
+}
+
+function todayIn(timeZone) {
+  return localDate(new Date(), timeZone);
+}
+
+// Pure calendar arithmetic: done at UTC midnight so DST can never shift the date
+function addDays(day, n) {
+  const d = new Date(day + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000);
+}
+
+// Current run of consecutive days ending today (or yesterday, so a streak isn't
+// lost before today's first session) and the longest run overall.
+function streaks(activeDays, today) {
+  const days = [...new Set(activeDays)].sort().reverse();
+
+  let current = 0;
+  const startFrom = days.includes(today) ? today : (days.includes(addDays(today, -1)) ? addDays(today, -1) : null);
+  if (startFrom) {
+    let expected = startFrom;
+    for (const day of days) {
+      if (day > expected) continue;
+      if (day !== expected) break;
+      current++;
+      expected = addDays(expected, -1);
+    }
+  }
+
+  let best = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && daysBetween(day, days[i - 1]) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  return { current, best };
+}
+
+module.exports = { isValidTimeZone, localDateTime, zonedTimeToUtc, localDate, todayIn, addDays, daysBetween, streaks };